@@ -1,13 +1,15 @@
 import 'dotenv/config'; // Carica variabili da .env PRIMA di tutto
 import electron from 'electron';
 import path from 'path';
-import fs from 'fs';
 import { setupIpcHandlers } from './ipc/handlers.js';
 import updateChecker from './services/update-checker.js';
 import downloadManager from './services/download-manager.js';
 import autoDetectService from './services/auto-detect-service.js';
+import catalogService from './services/catalog-service.js';
+import githubService from './services/github-service.js';
+import versionCacheService from './services/version-cache-service.js';
 
-const { app, BrowserWindow } = electron;
+const { app, BrowserWindow, shell } = electron;
 
 // Riferimento alla finestra principale
 let mainWindow = null;
@@ -52,6 +54,15 @@ function createWindow() {
   });
 }
 
+/**
+ * Pin di versione del catalogo per app
+ * @param {Array<Object>} apps - Definizioni app dal catalogo
+ * @returns {Map<string, string|null>} appId -> versionPin
+ */
+function getCatalogPins(apps) {
+  return new Map(apps.map((appDef) => [appDef.id, appDef.versionPin || null]));
+}
+
 /**
  * Esegue la sequenza di startup con progress events
  */
@@ -67,6 +78,9 @@ async function performStartupSequence() {
     // Setup IPC handlers
     setupIpcHandlers(mainWindow);
 
+    // Token GitHub salvato nelle impostazioni (decifrabile solo ad app pronta)
+    githubService.loadStoredToken();
+
     // Avvia update checker periodico
     updateChecker.startPeriodicCheck();
 
@@ -89,24 +103,38 @@ async function performStartupSequence() {
       message: 'Detecting installed apps...',
     });
 
-    // Carica apps.json
-    const appsJsonPath = path.join(process.cwd(), 'public', 'apps.json');
+    // Carica catalogo (sorgente configurata, cache offline o apps.json incluso)
+    await catalogService.loadCatalog();
+    const appsData = await catalogService.getApps();
+
+    // Hot-reload: notifica il renderer quando il catalogo cambia
+    let catalogPins = getCatalogPins(appsData);
+    catalogService.startWatching(async (diagnostics) => {
+      // Latest da ricalcolare solo per le app con versionPin cambiato o rimosse dal catalogo
+      const pins = getCatalogPins(await catalogService.getApps());
+      for (const [appId, pin] of catalogPins) {
+        if (!pins.has(appId) || pins.get(appId) !== pin) {
+          versionCacheService.clearCache(appId);
+        }
+      }
+      catalogPins = pins;
 
-    if (fs.existsSync(appsJsonPath)) {
-      const appsData = JSON.parse(fs.readFileSync(appsJsonPath, 'utf-8'));
+      if (mainWindow) {
+        mainWindow.webContents.send('catalog:changed', diagnostics);
+      }
+    });
 
-      // Esegui scan
-      const scanResults = await autoDetectService.scanForInstalledApps(appsData);
+    // Esegui scan
+    const scanResults = await autoDetectService.scanForInstalledApps(appsData);
 
-      // Se trovate app, notifica il renderer per refresh
-      if (scanResults.detected.length > 0) {
-        console.log(`[Startup] Auto-detected ${scanResults.detected.length} apps:`,
-          scanResults.detected.map(r => r.appName).join(', '));
+    // Se trovate app, notifica il renderer per refresh
+    if (scanResults.detected.length > 0) {
+      console.log(`[Startup] Auto-detected ${scanResults.detected.length} apps:`,
+        scanResults.detected.map(r => r.appName).join(', '));
 
-        mainWindow.webContents.send('apps:auto-detected', scanResults.detected);
-      } else {
-        console.log('[Startup] No new apps auto-detected');
-      }
+      mainWindow.webContents.send('apps:auto-detected', scanResults.detected);
+    } else {
+      console.log('[Startup] No new apps auto-detected');
     }
 
     await new Promise(resolve => setTimeout(resolve, 500));
@@ -155,6 +183,9 @@ app.whenReady().then(() => {
  * Chiudi app quando tutte le finestre sono chiuse (Windows & Linux)
  */
 app.on('window-all-closed', () => {
+  catalogService.stopWatching();
+  versionCacheService.flush();
+
   if (process.platform !== 'darwin') {
     app.quit();
   }
@@ -178,4 +209,12 @@ app.on('web-contents-created', (event, contents) => {
       event.preventDefault();
     }
   });
+
+  // Nessuna nuova finestra: i link esterni (es: note di rilascio) si aprono nel browser di sistema
+  contents.setWindowOpenHandler(({ url }) => {
+    if (/^https?:\/\//i.test(url)) {
+      shell.openExternal(url);
+    }
+    return { action: 'deny' };
+  });
 });
@@ -1,6 +1,5 @@
-import { ipcMain, dialog, app as electronApp } from 'electron';
+import { ipcMain, dialog, shell, app as electronApp } from 'electron';
 import fs from 'fs';
-import path from 'path';
 
 // Import services
 import appStore from '../store/app-store.js';
@@ -10,40 +9,32 @@ import installManager from '../services/install-manager.js';
 import launcherService from '../services/launcher-service.js';
 import updateChecker from '../services/update-checker.js';
 import versionCacheService from '../services/version-cache-service.js';
+import catalogService from '../services/catalog-service.js';
+import dependencyResolver from '../services/dependency-resolver.js';
+import releaseProviders from '../services/release-providers/index.js';
+import proxyService from '../services/proxy-service.js';
+import certificateService from '../services/certificate-service.js';
+import httpClient from '../services/http-client.js';
+import { compareVersions, isValidRange, satisfiesRange } from '../../../shared/version.js';
 
 /**
- * Carica apps.json dal filesystem
- */
-function loadAppsJson() {
-  const appsJsonPath = path.join(process.cwd(), 'public', 'apps.json');
-
-  if (!fs.existsSync(appsJsonPath)) {
-    throw new Error('apps.json not found');
-  }
-
-  const data = fs.readFileSync(appsJsonPath, 'utf-8');
-  return JSON.parse(data);
-}
-
-/**
- * Arricchisce dati app con stato installazione e versione da GitHub
+ * Arricchisce dati app con stato installazione e versione dal provider di release
  */
 async function enrichAppData(app) {
   const installedApp = appStore.getInstalledApp(app.id);
   const isRunning = launcherService.isAppRunning(app.id);
 
-  // Fetch latest version from GitHub (with cache)
+  // Fetch latest version from the release provider (with cache, even if expired: see app:get-all)
   let latestVersion = app.version; // fallback to apps.json version
   try {
-    latestVersion = await versionCacheService.getLatestVersion(
-      app.id,
-      app.downloadUrl || app.changelogUrl,
-      app.version
-    );
+    latestVersion = await versionCacheService.getLatestVersion(app, { allowStale: true });
   } catch (error) {
-    console.warn(`[EnrichAppData] Failed to fetch GitHub version for ${app.id}, using fallback:`, error.message);
+    console.warn(`[EnrichAppData] Failed to fetch latest version for ${app.id}, using fallback:`, error.message);
   }
 
+  // Canale di release scelto dall'utente (stable, beta o tag)
+  const channel = appStore.getAppChannel(app.id);
+
   if (installedApp) {
     // Verifica se l'eseguibile è valido (path esiste E file esiste sul filesystem)
     if (!installedApp.executablePath || !fs.existsSync(installedApp.executablePath)) {
@@ -61,6 +52,7 @@ async function enrichAppData(app) {
       return {
         ...app,
         version: latestVersion,
+        channel,
         installStatus: 'not_installed',
         installedVersion: null,
         isRunning: false,
@@ -69,9 +61,18 @@ async function enrichAppData(app) {
 
     return {
       ...app,
-      version: latestVersion, // Use GitHub version as source of truth
+      version: latestVersion, // Use release provider version as source of truth
+      channel,
       installStatus: 'installed',
       installedVersion: installedApp.installedVersion,
+      // Il canale scelto può puntare a una versione precedente a quella installata
+      isDowngrade: compareVersions(latestVersion, installedApp.installedVersion) < 0,
+      // Versione precedente installata volontariamente (rollback da downgradedFrom)
+      downgradedFrom: installedApp.downgradedFrom || null,
+      // Dopo un rollback la latest non è un aggiornamento finché non supera downgradedFrom
+      isHeldBack: compareVersions(latestVersion, installedApp.installedVersion) > 0
+        && updateChecker.isHeldBack(installedApp, latestVersion),
+      versionPin: getVersionPinInfo(app),
       installPath: installedApp.installPath,
       executablePath: installedApp.executablePath,
       lastLaunched: installedApp.lastLaunched,
@@ -81,13 +82,131 @@ async function enrichAppData(app) {
 
   return {
     ...app,
-    version: latestVersion, // Use GitHub version as source of truth
+    version: latestVersion, // Use release provider version as source of truth
+    channel,
     installStatus: 'not_installed',
     installedVersion: null,
+    versionPin: getVersionPinInfo(app),
     isRunning: false,
   };
 }
 
+/**
+ * Pin di versione di un'app per il renderer
+ * @param {Object} app - Definizione app dal catalogo
+ * @returns {Object|null} {range, source, heldBackVersion} - heldBackVersion: versione del canale
+ *   esclusa dal pin (dalla cache delle versioni), null se il pin non blocca aggiornamenti
+ */
+function getVersionPinInfo(app) {
+  const pin = releaseProviders.getVersionPin(app);
+  if (!pin) return null;
+
+  const release = versionCacheService.getCachedRelease(app.id);
+  return { ...pin, heldBackVersion: release?.heldBackVersion || null };
+}
+
+/**
+ * Override dell'installer definiti nel catalogo per un'app
+ * @param {Object|null} appDef - Definizione app dal catalogo
+ * @returns {Object} {installerType, installArgs, uninstallArgs, successExitCodes, executable}
+ */
+function getInstallerOptions(appDef) {
+  if (!appDef) return {};
+
+  const { installerType, installArgs, uninstallArgs, successExitCodes, executable } = appDef;
+  return { installerType, installArgs, uninstallArgs, successExitCodes, executable };
+}
+
+/**
+ * Scarica e installa una release di un'app (pipeline download + installazione)
+ * @param {Object} appDef - Definizione app dal catalogo
+ * @param {BrowserWindow} mainWindow - Finestra a cui inviare progress e status
+ * @param {Object} options - {tag} - release specifica (default: l'ultima del canale)
+ * @returns {Promise<Object>} Info release installata
+ */
+async function installRelease(appDef, mainWindow, { tag = null } = {}) {
+  // Ottieni info release dal provider dell'app (GitHub, GitLab, manifest HTTP, cartella)
+  console.log(`[DEBUG] Fetching release info for ${appDef.id} from:`, releaseProviders.getSourceUrl(appDef));
+  const releaseInfo = await releaseProviders.getAppReleaseInfo(appDef, { tag });
+
+  console.log(`[DEBUG] Release info for ${appDef.id}:`, {
+    version: releaseInfo.version,
+    downloadUrl: releaseInfo.downloadUrl,
+    assetsCount: releaseInfo.assets?.length || 0,
+  });
+
+  if (!releaseInfo.downloadUrl) {
+    throw new Error(releaseInfo.assetError || 'No installer found for this app');
+  }
+
+  // Download con progress
+  const installerPath = await downloadManager.downloadFile(
+    appDef.id,
+    releaseInfo.downloadUrl,
+    (progressData) => {
+      mainWindow.webContents.send('download:progress', progressData);
+    },
+    releaseInfo.fileName,
+    releaseProviders.getDownloadHeaders(appDef, releaseInfo.downloadUrl),
+    { allowLocal: releaseProviders.allowsLocalAssets(appDef) }
+  );
+
+  // Installazione
+  await installManager.installApp(
+    appDef.id,
+    installerPath,
+    {
+      ...getInstallerOptions(appDef),
+      version: releaseInfo.version,
+      appName: appDef.name,
+      githubUrl: appDef.downloadUrl || appDef.changelogUrl, // Pass GitHub URL for repo name extraction
+    },
+    (statusData) => {
+      mainWindow.webContents.send('install:status', statusData);
+    }
+  );
+
+  return releaseInfo;
+}
+
+/**
+ * Installa le dipendenze mancanti di un'app in ordine topologico
+ * @param {string} appId - ID dell'app richiesta
+ * @param {Array<Object>} apps - Definizioni app del catalogo
+ * @param {BrowserWindow} mainWindow - Finestra a cui inviare progress e status
+ * @returns {Promise<void>}
+ */
+async function installMissingDependencies(appId, apps, mainWindow) {
+  const dependencies = dependencyResolver.getMissingDependencies(appId, apps);
+
+  for (const [i, dependency] of dependencies.entries()) {
+    console.log(`[IPC] Installing dependency ${dependency.id} for ${appId} (${i + 1}/${dependencies.length})`);
+    mainWindow.webContents.send('install:status', {
+      appId,
+      status: 'dependencies',
+      message: `Installing dependency ${dependency.name} (${i + 1}/${dependencies.length})...`,
+    });
+
+    try {
+      await installRelease(dependency, mainWindow);
+    } catch (error) {
+      mainWindow.webContents.send('operation:complete', {
+        appId: dependency.id,
+        operation: 'install',
+        success: false,
+        error: error.message,
+      });
+      throw new Error(`Failed to install dependency "${dependency.name}": ${error.message}`);
+    }
+
+    mainWindow.webContents.send('operation:complete', {
+      appId: dependency.id,
+      operation: 'install',
+      success: true,
+    });
+  }
+}
+
 /**
  * Setup di tutti gli IPC handlers
  */
@@ -97,17 +216,29 @@ export function setupIpcHandlers(mainWindow) {
   // ========================================
 
   /**
-   * Ottiene lista app con stato installazione e versioni aggiornate da GitHub
+   * Ottiene lista app con stato installazione e versioni aggiornate dai provider di release
    */
   ipcMain.handle('app:get-all', async () => {
     try {
-      const appsData = loadAppsJson();
+      // Catalogo in memoria, mantenuto aggiornato dal watcher (hot-reload)
+      const appsData = await catalogService.getApps();
+
+      // Solo le app senza versione in cache attendono la ricerca: in blocco dove possibile
+      // (GraphQL con token), le altre via REST in enrichAppData
+      try {
+        await versionCacheService.prefetchLatestVersions(appsData, { missingOnly: true });
+      } catch (error) {
+        console.warn('[IPC] Batch version lookup failed:', error.message);
+      }
 
       // Enrichment in parallel for performance (async version fetching)
       const enrichedApps = await Promise.all(
         appsData.map(app => enrichAppData(app))
       );
 
+      // Versioni scadute servite dalla cache: rivalidazione in background (app:version-changed)
+      versionCacheService.revalidateInBackground(appsData);
+
       return { success: true, data: enrichedApps };
     } catch (error) {
       console.error('Failed to load apps:', error);
@@ -116,55 +247,41 @@ export function setupIpcHandlers(mainWindow) {
   });
 
   /**
-   * Installa un'applicazione
+   * Latest cambiate dalla rivalidazione in background: invia al renderer l'app aggiornata,
+   * così cambia solo la sua card senza ricaricare la lista
+   */
+  versionCacheService.onVersionChanged(async ({ appId, version, previousVersion }) => {
+    try {
+      const appDef = await catalogService.getAppById(appId);
+      if (!appDef) return;
+
+      mainWindow.webContents.send('app:version-changed', {
+        appId,
+        version,
+        previousVersion,
+        app: await enrichAppData(appDef),
+      });
+    } catch (error) {
+      console.warn(`[IPC] Failed to notify version change for ${appId}:`, error.message);
+    }
+  });
+
+  /**
+   * Installa un'applicazione (e prima le sue dipendenze mancanti)
    */
   ipcMain.handle('app:install', async (event, appId) => {
     try {
-      const appsData = loadAppsJson();
-      const appDef = appsData.find((a) => a.id === appId);
+      const apps = await catalogService.getApps();
+      const appDef = apps.find((a) => a.id === appId);
 
       if (!appDef) {
         throw new Error('App not found');
       }
 
-      // Ottieni info release da GitHub
-      console.log(`[DEBUG] Fetching release info for ${appId} from:`, appDef.downloadUrl || appDef.changelogUrl);
-      const releaseInfo = await githubService.getAppReleaseInfo(
-        appDef.downloadUrl || appDef.changelogUrl
-      );
-
-      console.log(`[DEBUG] Release info for ${appId}:`, {
-        version: releaseInfo.version,
-        downloadUrl: releaseInfo.downloadUrl,
-        assetsCount: releaseInfo.assets?.length || 0,
-      });
+      // Dipendenze prima dell'app richiesta (errore se mancanti o cicliche)
+      await installMissingDependencies(appId, apps, mainWindow);
 
-      if (!releaseInfo.downloadUrl) {
-        throw new Error('No installer found for this app');
-      }
-
-      // Download con progress
-      const installerPath = await downloadManager.downloadFile(
-        appId,
-        releaseInfo.downloadUrl,
-        (progressData) => {
-          mainWindow.webContents.send('download:progress', progressData);
-        }
-      );
-
-      // Installazione
-      await installManager.installApp(
-        appId,
-        installerPath,
-        {
-          version: releaseInfo.version,
-          appName: appDef.name,
-          githubUrl: appDef.downloadUrl || appDef.changelogUrl, // Pass GitHub URL for repo name extraction
-        },
-        (statusData) => {
-          mainWindow.webContents.send('install:status', statusData);
-        }
-      );
+      const releaseInfo = await installRelease(appDef, mainWindow);
 
       console.log(`[IPC] Installation completed for ${appId}, waiting before sending operation:complete...`);
       // Attendi un momento per assicurarsi che tutto sia salvato e pronto
@@ -198,9 +315,31 @@ export function setupIpcHandlers(mainWindow) {
    */
   ipcMain.handle('app:uninstall', async (event, appId) => {
     try {
+      // Avvisa se altre app installate dipendono da questa
+      const apps = await catalogService.getApps();
+      const appDef = apps.find((a) => a.id === appId) || null;
+      const dependents = dependencyResolver.getInstalledDependents(appId, apps);
+
+      if (dependents.length > 0) {
+        const { response } = await dialog.showMessageBox(mainWindow, {
+          type: 'warning',
+          title: 'App required by other apps',
+          message: `${appDef ? appDef.name : appId} is required by other installed apps.`,
+          detail: `These apps may stop working after uninstalling it:\n${dependents.map((d) => `• ${d.name}`).join('\n')}`,
+          buttons: ['Uninstall anyway', 'Cancel'],
+          defaultId: 1,
+          cancelId: 1,
+        });
+
+        if (response !== 0) {
+          console.log(`[IPC] Uninstall of ${appId} canceled: required by ${dependents.map((d) => d.id).join(', ')}`);
+          return { success: false, canceled: true };
+        }
+      }
+
       await installManager.uninstallApp(appId, (statusData) => {
         mainWindow.webContents.send('install:status', statusData);
-      });
+      }, getInstallerOptions(appDef));
 
       mainWindow.webContents.send('operation:complete', {
         appId,
@@ -228,7 +367,8 @@ export function setupIpcHandlers(mainWindow) {
    */
   ipcMain.handle('app:launch', async (event, appId) => {
     try {
-      await launcherService.launchApp(appId);
+      const appDef = await catalogService.getAppById(appId);
+      await launcherService.launchApp(appId, appDef ? appDef.executable : null);
       return { success: true };
     } catch (error) {
       console.error(`Launch failed for ${appId}:`, error);
@@ -284,43 +424,25 @@ export function setupIpcHandlers(mainWindow) {
    */
   ipcMain.handle('app:update', async (event, appId) => {
     try {
-      // Disinstalla versione esistente
-      await installManager.uninstallApp(appId, (statusData) => {
-        mainWindow.webContents.send('install:status', statusData);
-      });
-
-      // Reinstalla ultima versione
-      const appsData = loadAppsJson();
-      const appDef = appsData.find((a) => a.id === appId);
+      // Leggi la definizione prima di disinstallare: un reload del catalogo
+      // durante l'operazione non deve interromperla
+      const apps = await catalogService.getApps();
+      const appDef = apps.find((a) => a.id === appId);
 
       if (!appDef) {
         throw new Error('App not found');
       }
 
-      const releaseInfo = await githubService.getAppReleaseInfo(
-        appDef.downloadUrl || appDef.changelogUrl
-      );
+      // Una nuova versione può aver aggiunto dipendenze
+      await installMissingDependencies(appId, apps, mainWindow);
 
-      const installerPath = await downloadManager.downloadFile(
-        appId,
-        releaseInfo.downloadUrl,
-        (progressData) => {
-          mainWindow.webContents.send('download:progress', progressData);
-        }
-      );
+      // Disinstalla versione esistente
+      await installManager.uninstallApp(appId, (statusData) => {
+        mainWindow.webContents.send('install:status', statusData);
+      }, getInstallerOptions(appDef));
 
-      await installManager.installApp(
-        appId,
-        installerPath,
-        {
-          version: releaseInfo.version,
-          appName: appDef.name,
-          githubUrl: appDef.downloadUrl || appDef.changelogUrl, // Pass GitHub URL for repo name extraction
-        },
-        (statusData) => {
-          mainWindow.webContents.send('install:status', statusData);
-        }
-      );
+      // Reinstalla la release del canale scelto (anche precedente: downgrade)
+      const releaseInfo = await installRelease(appDef, mainWindow);
 
       console.log(`[IPC] Update completed for ${appId}, waiting before sending operation:complete...`);
       // Attendi un momento per assicurarsi che tutto sia salvato e pronto
@@ -349,6 +471,293 @@ export function setupIpcHandlers(mainWindow) {
     }
   });
 
+  /**
+   * Installa una release specifica di un'app (es: rollback a una versione precedente)
+   * Il canale non cambia: la versione resta finché l'utente non aggiorna
+   */
+  ipcMain.handle('app:install-version', async (event, appId, tag) => {
+    const installedApp = appStore.getInstalledApp(appId);
+    const operation = installedApp ? 'update' : 'install';
+
+    try {
+      const apps = await catalogService.getApps();
+      const appDef = apps.find((a) => a.id === appId);
+
+      if (!appDef) {
+        throw new Error('App not found');
+      }
+      if (!tag) {
+        throw new Error('No release selected');
+      }
+
+      // Rollback: l'update checker non ripropone versioni fino a quella abbandonata
+      const release = await releaseProviders.getReleaseByTag(appDef, tag);
+      const pin = releaseProviders.getVersionPin(appDef);
+      if (pin && !satisfiesRange(release.version, pin.range)) {
+        throw new Error(`v${release.version} is outside the version pin ${pin.range}${pin.source === 'policy' ? ' set by your administrator' : ''}`);
+      }
+
+      const previousVersion = installedApp?.downgradedFrom || installedApp?.installedVersion;
+      const isRollback = Boolean(previousVersion) && compareVersions(release.version, previousVersion) < 0;
+
+      // Conferma: l'app installata viene disinstallata e sostituita
+      if (installedApp && compareVersions(release.version, installedApp.installedVersion) < 0) {
+        const { response } = await dialog.showMessageBox(mainWindow, {
+          type: 'warning',
+          title: 'Install an older version',
+          message: `Roll ${appDef.name} back to v${release.version}?`,
+          detail: `Installed version: v${installedApp.installedVersion}\n`
+            + `The installed version is removed first. Updates up to v${previousVersion} will not be notified.`,
+          buttons: [`Roll back to v${release.version}`, 'Cancel'],
+          defaultId: 1,
+          cancelId: 1,
+          noLink: true,
+        });
+
+        if (response !== 0) {
+          return { success: false, canceled: true };
+        }
+      }
+
+      await installMissingDependencies(appId, apps, mainWindow);
+
+      if (installedApp) {
+        await installManager.uninstallApp(appId, (statusData) => {
+          mainWindow.webContents.send('install:status', statusData);
+        }, getInstallerOptions(appDef));
+      }
+
+      const releaseInfo = await installRelease(appDef, mainWindow, { tag: release.tag });
+
+      if (isRollback) {
+        appStore.markDowngraded(appId, previousVersion);
+        console.log(`[IPC] ${appId} rolled back from ${previousVersion} to ${releaseInfo.version}`);
+      }
+
+      mainWindow.webContents.send('operation:complete', { appId, operation, success: true });
+
+      return { success: true, version: releaseInfo.version };
+    } catch (error) {
+      console.error(`Installation of ${tag} failed for ${appId}:`, error);
+
+      mainWindow.webContents.send('operation:complete', {
+        appId,
+        operation,
+        success: false,
+        error: error.message,
+      });
+
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Elenca le release di un'app, dalla più recente (scelta del tag da seguire, note di rilascio)
+   */
+  ipcMain.handle('app:get-releases', async (event, appId, options = {}) => {
+    try {
+      const appDef = await catalogService.getAppById(appId);
+
+      if (!appDef) {
+        throw new Error('App not found');
+      }
+
+      const releases = await releaseProviders.getReleases(appDef, {
+        limit: options.limit || 30,
+        page: options.page || 1,
+      });
+
+      return {
+        success: true,
+        data: releases.map(({ tag, version, name, body, publishedAt, prerelease, htmlUrl }) => ({
+          tag, version, name, body, publishedAt, prerelease, htmlUrl,
+        })),
+      };
+    } catch (error) {
+      console.error(`Failed to list releases for ${appId}:`, error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Changelog aggregato: tutte le release tra la versione installata e la latest del canale
+   */
+  ipcMain.handle('app:get-changelog-since', async (event, appId) => {
+    try {
+      const appDef = await catalogService.getAppById(appId);
+
+      if (!appDef) {
+        throw new Error('App not found');
+      }
+
+      const installedApp = appStore.getInstalledApp(appId);
+      if (!installedApp || !installedApp.installedVersion) {
+        throw new Error('App is not installed');
+      }
+
+      const channel = releaseProviders.getChannel(appDef);
+      const latest = await releaseProviders.getLatestRelease(appDef, channel);
+      const { installedVersion } = installedApp;
+
+      // Versione aggiornata o downgrade: nessuna novità da mostrare
+      const { releases, complete } = compareVersions(latest.version, installedVersion) > 0
+        ? await releaseProviders.getReleasesBetween(appDef, installedVersion, latest.version, {
+          includePrereleases: channel.type === 'beta',
+        })
+        : { releases: [], complete: true };
+
+      return {
+        success: true,
+        data: {
+          installedVersion,
+          latestVersion: latest.version,
+          complete,
+          releases: releases.map(({ tag, version, name, body, publishedAt, prerelease, htmlUrl }) => ({
+            tag, version, name, body, publishedAt, prerelease, htmlUrl,
+          })),
+        },
+      };
+    } catch (error) {
+      console.error(`Failed to build changelog for ${appId}:`, error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Cambia il canale di release di un'app e propone installazione, aggiornamento o downgrade
+   */
+  ipcMain.handle('app:set-channel', async (event, appId, channel) => {
+    try {
+      const appDef = await catalogService.getAppById(appId);
+
+      if (!appDef) {
+        throw new Error('App not found');
+      }
+      if (!channel || !['stable', 'beta', 'tag'].includes(channel.type) || (channel.type === 'tag' && !channel.tag)) {
+        throw new Error('Invalid release channel');
+      }
+
+      const previousChannel = appStore.getAppChannel(appId);
+      appStore.setAppChannel(appId, channel);
+      versionCacheService.clearCache(appId);
+
+      // Il canale deve avere almeno una release (es: tag inesistente), altrimenti si ripristina
+      let release;
+      try {
+        release = await releaseProviders.getLatestRelease(appDef);
+      } catch (error) {
+        appStore.setAppChannel(appId, previousChannel);
+        versionCacheService.clearCache(appId);
+        throw error;
+      }
+
+      const installedApp = appStore.getInstalledApp(appId);
+      let action = 'install';
+      if (installedApp) {
+        const comparison = compareVersions(release.version, installedApp.installedVersion);
+        action = comparison > 0 ? 'update' : comparison < 0 ? 'downgrade' : 'none';
+      }
+
+      let accepted = false;
+      if (action !== 'none') {
+        const actionLabels = { install: 'Install', update: 'Update to', downgrade: 'Downgrade to' };
+        const { response } = await dialog.showMessageBox(mainWindow, {
+          type: action === 'downgrade' ? 'warning' : 'question',
+          title: 'Release channel changed',
+          message: `${appDef.name} now follows ${channel.type === 'tag' ? `release ${channel.tag}` : `the ${channel.type} channel`}.`,
+          detail: installedApp
+            ? `Installed version: v${installedApp.installedVersion}\nChannel version: v${release.version}`
+            : `Channel version: v${release.version}`,
+          buttons: [`${actionLabels[action]} v${release.version}`, 'Later'],
+          defaultId: 0,
+          cancelId: 1,
+          noLink: true,
+        });
+        accepted = response === 0;
+      }
+
+      // Aggiorna versione e canale mostrati sulla card
+      mainWindow.webContents.send('operation:complete', {
+        appId,
+        operation: 'channel',
+        success: true,
+      });
+
+      return {
+        success: true,
+        data: { channel: appStore.getAppChannel(appId), version: release.version, action, accepted },
+      };
+    } catch (error) {
+      console.error(`Failed to change release channel for ${appId}:`, error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Blocca un'app a una versione o un intervallo (null per rimuovere il pin dell'utente)
+   */
+  ipcMain.handle('app:set-version-pin', async (event, appId, range) => {
+    try {
+      const appDef = await catalogService.getAppById(appId);
+
+      if (!appDef) {
+        throw new Error('App not found');
+      }
+      if (appDef.versionPin) {
+        throw new Error('This app is pinned by your administrator');
+      }
+
+      const value = typeof range === 'string' ? range.trim() : '';
+      if (value && !isValidRange(value)) {
+        throw new Error(`Invalid version range: ${value}`);
+      }
+
+      const previousPin = appStore.getVersionPin(appId);
+      appStore.setVersionPin(appId, value || null);
+      versionCacheService.clearCache(appId);
+
+      // Il pin deve avere almeno una release, altrimenti si ripristina
+      let release;
+      try {
+        release = await releaseProviders.getLatestRelease(appDef);
+      } catch (error) {
+        appStore.setVersionPin(appId, previousPin);
+        versionCacheService.clearCache(appId);
+        throw error;
+      }
+
+      console.log(`[IPC] Version pin of ${appId} ${value ? `set to ${value}` : 'removed'} (latest allowed: ${release.version})`);
+
+      // Aggiorna versione e badge mostrati sulla card
+      mainWindow.webContents.send('operation:complete', {
+        appId,
+        operation: 'pin',
+        success: true,
+      });
+
+      return { success: true, data: { range: value || null, version: release.version } };
+    } catch (error) {
+      console.error(`Failed to set version pin for ${appId}:`, error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ========================================
+  // Catalog
+  // ========================================
+
+  /**
+   * Ottiene stato del catalogo e problemi di validazione per voce
+   */
+  ipcMain.handle('catalog:get-diagnostics', async () => {
+    try {
+      await catalogService.getApps();
+      return { success: true, data: catalogService.getDiagnostics() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
   // ========================================
   // Settings
   // ========================================
@@ -377,6 +786,11 @@ export function setupIpcHandlers(mainWindow) {
         updateChecker.startPeriodicCheck();
       }
 
+      // Se cambiano le sorgenti del catalogo, ricarica e monitora quelle nuove
+      if (['catalogSources', 'catalogUrl', 'catalogPublicKeys'].some((key) => key in newSettings)) {
+        await catalogService.reloadSources();
+      }
+
       return { success: true };
     } catch (error) {
       return { success: false, error: error.message };
@@ -412,7 +826,7 @@ export function setupIpcHandlers(mainWindow) {
    */
   ipcMain.handle('updates:check', async () => {
     try {
-      const appsData = loadAppsJson();
+      const appsData = await catalogService.getApps();
       const updates = await updateChecker.checkForUpdates(appsData);
 
       if (updates.length > 0) {
@@ -426,6 +840,166 @@ export function setupIpcHandlers(mainWindow) {
     }
   });
 
+  // ========================================
+  // Network Proxy
+  // ========================================
+
+  /**
+   * Ottiene la configurazione del proxy (senza password)
+   */
+  ipcMain.handle('proxy:get-config', async () => {
+    try {
+      return { success: true, data: proxyService.getConfig() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Salva la configurazione del proxy (applicata dalla richiesta successiva)
+   */
+  ipcMain.handle('proxy:set-config', async (event, config) => {
+    try {
+      proxyService.setConfig(config);
+      return { success: true, data: proxyService.getConfig() };
+    } catch (error) {
+      console.error('[IPC] Failed to save proxy configuration:', error.message);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Verifica la connessione verso l'API GitHub con il proxy configurato
+   */
+  ipcMain.handle('proxy:test', async () => {
+    // /rate_limit non consuma quota
+    const testUrl = 'https://api.github.com/rate_limit';
+
+    try {
+      const { proxyUrl, source } = await proxyService.resolve(testUrl);
+      await httpClient.getText(testUrl);
+      return {
+        success: true,
+        data: { proxy: proxyUrl ? proxyService.redact(proxyUrl) : null, source },
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ========================================
+  // Certificates
+  // ========================================
+
+  /**
+   * Ottiene la sorgente delle CA attendibili attiva
+   */
+  ipcMain.handle('certificates:get-status', async () => {
+    try {
+      return { success: true, data: certificateService.getStatus() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Salva la sorgente delle CA attendibili e la ricarica subito
+   */
+  ipcMain.handle('certificates:set-config', async (event, config) => {
+    try {
+      const status = await certificateService.setConfig(config);
+      // Gli agent dei proxy HTTPS hanno le CA precedenti
+      proxyService.clearAgents();
+      return { success: true, data: status };
+    } catch (error) {
+      console.error('[IPC] Failed to save certificate configuration:', error.message);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ========================================
+  // GitHub
+  // ========================================
+
+  /**
+   * Ottiene la quota residua dell'API GitHub (github.com ed eventuale Enterprise)
+   */
+  ipcMain.handle('github:get-rate-limit', async () => {
+    try {
+      const status = await githubService.getRateLimitStatus();
+      return { success: true, data: status };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Ottiene lo stato del token GitHub (configurato, provenienza) senza esporne il valore
+   */
+  ipcMain.handle('github:get-token-status', async () => {
+    try {
+      return { success: true, data: githubService.getTokenStatus() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Salva il token GitHub cifrato e lo applica subito
+   */
+  ipcMain.handle('github:set-token', async (event, token) => {
+    try {
+      githubService.setToken(token);
+      return { success: true, data: githubService.getTokenStatus() };
+    } catch (error) {
+      console.error('[IPC] Failed to save GitHub token:', error.message);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Verifica un token GitHub (quello indicato o, senza argomenti, quello in uso)
+   */
+  ipcMain.handle('github:test-token', async (event, token) => {
+    try {
+      const result = await githubService.testToken(token || undefined);
+      return { success: true, data: result };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Rimuove il token GitHub salvato
+   */
+  ipcMain.handle('github:clear-token', async () => {
+    try {
+      githubService.clearToken();
+      return { success: true, data: githubService.getTokenStatus() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ========================================
+  // Shell
+  // ========================================
+
+  /**
+   * Apre un link nel browser di sistema (solo http e https)
+   */
+  ipcMain.handle('shell:open-external', async (event, url) => {
+    try {
+      if (!/^https?:\/\//i.test(url || '')) {
+        throw new Error('Only http and https links can be opened');
+      }
+      await shell.openExternal(url);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
   // ========================================
   // System Info
   // ========================================
@@ -444,6 +1018,7 @@ export function setupIpcHandlers(mainWindow) {
           electronVersion: process.versions.electron,
           chromeVersion: process.versions.chrome,
           nodeVersion: process.versions.node,
+          certificates: certificateService.getStatus(),
         },
       };
     } catch (error) {
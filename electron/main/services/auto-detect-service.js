@@ -76,8 +76,8 @@ class AutoDetectService {
       try {
         console.log(`[AutoDetect] Searching for ${app.name} (${app.id})...`);
 
-        // Genera variazioni del nome da provare
-        const nameVariations = this.generateNameVariations(app.name);
+        // Genera variazioni del nome da provare (con hint esplicito basta il nome)
+        const nameVariations = app.executable ? [app.name] : this.generateNameVariations(app.name);
         let executablePath = null;
         let foundWithName = null;
 
@@ -89,7 +89,9 @@ class AutoDetectService {
             executablePath = await installManager.findInstalledExecutable(
               app.id,
               '', // empty installDir - cerca solo in Program Files e AppData
-              nameVariation
+              nameVariation,
+              null,
+              app.executable || null
             );
 
             if (executablePath) {
@@ -153,8 +155,8 @@ class AutoDetectService {
     try {
       console.log(`[AutoDetect] Searching for ${appDef.name}...`);
 
-      // Genera variazioni del nome da provare
-      const nameVariations = this.generateNameVariations(appDef.name);
+      // Genera variazioni del nome da provare (con hint esplicito basta il nome)
+      const nameVariations = appDef.executable ? [appDef.name] : this.generateNameVariations(appDef.name);
       let executablePath = null;
 
       // Prova ogni variazione fino a trovare l'eseguibile
@@ -165,7 +167,9 @@ class AutoDetectService {
           executablePath = await installManager.findInstalledExecutable(
             appDef.id,
             '',
-            nameVariation
+            nameVariation,
+            null,
+            appDef.executable || null
           );
 
           if (executablePath) {
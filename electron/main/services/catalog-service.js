@@ -0,0 +1,553 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { app } from 'electron';
+import httpClient from './http-client.js';
+import catalogValidator from './catalog-validator.js';
+import catalogSignature from './catalog-signature.js';
+import dependencyResolver from './dependency-resolver.js';
+import localeService from './locale-service.js';
+import appStore from '../store/app-store.js';
+
+/**
+ * Sorgente implicita usata quando nessuna sorgente configurata è disponibile
+ */
+const BUNDLED_SOURCE = { id: 'bundled', name: 'Built-in', url: null };
+
+/**
+ * Catalog Service - Carica il catalogo app da una o più sorgenti configurabili
+ *
+ * Per ogni sorgente (in ordine):
+ * 1. Sorgente configurata (URL http/https, file locale o share UNC)
+ * 2. Ultima copia valida salvata su disco (offline)
+ *
+ * Se nessuna sorgente fornisce un catalogo, si usa apps.json incluso nel
+ * pacchetto (extraResources).
+ *
+ * Precedenza: a parità di `id` vince la sorgente che compare PRIMA nella lista;
+ * i duplicati delle sorgenti successive vengono scartati e segnalati.
+ *
+ * Firma: con chiavi fidate configurate (vedi catalog-signature.js) ogni sorgente
+ * deve avere una firma Ed25519 valida; un catalogo manomesso viene rifiutato e si
+ * usa l'ultima copia verificata.
+ */
+class CatalogService {
+  constructor() {
+    this.apps = [];
+    this.issues = [];
+    this.sourceStatus = [];
+    this.loadedAt = null;
+    this._cacheDir = null;
+
+    // Hot-reload
+    this.loadingPromise = null;
+    this.watchedFiles = [];
+    this.pollInterval = null;
+    this.reloadTimer = null;
+    this.onChange = null;
+
+    // Intervallo polling per sorgenti HTTP(S): 5 minuti
+    this.remotePollInterval = 300000;
+  }
+
+  /**
+   * Getter per la directory della cache con lazy initialization
+   */
+  get cacheDir() {
+    if (!this._cacheDir) {
+      this._cacheDir = path.join(app.getPath('userData'), 'catalog-cache');
+      if (!fs.existsSync(this._cacheDir)) {
+        fs.mkdirSync(this._cacheDir, { recursive: true });
+      }
+    }
+    return this._cacheDir;
+  }
+
+  /**
+   * Ottiene la lista ordinata delle sorgenti configurate
+   * Priorità: impostazione `catalogSources` > impostazione `catalogUrl` >
+   * variabile d'ambiente APPS_CATALOG_URL
+   * @returns {Array<Object>} [{id, name, url}] - vuoto se nessuna sorgente configurata
+   */
+  getSources() {
+    const configured = appStore.getSetting('catalogSources');
+
+    if (Array.isArray(configured) && configured.length > 0) {
+      return configured
+        .filter((source) => source && source.url)
+        .map((source, index) => ({
+          id: source.id || `source-${index + 1}`,
+          name: source.name || source.id || `Catalog ${index + 1}`,
+          url: source.url,
+          signatureUrl: source.signatureUrl || null,
+        }));
+    }
+
+    const single = appStore.getSetting('catalogUrl') || process.env.APPS_CATALOG_URL;
+    return single ? [{ id: 'default', name: 'Catalog', url: single, signatureUrl: null }] : [];
+  }
+
+  /**
+   * Path del catalogo incluso nel pacchetto
+   * @returns {string} Path assoluto ad apps.json
+   */
+  getBundledCatalogPath() {
+    if (app.isPackaged) {
+      // Copiato da electron-builder tramite extraResources
+      return path.join(process.resourcesPath, 'apps.json');
+    }
+    return path.join(app.getAppPath(), 'public', 'apps.json');
+  }
+
+  /**
+   * Verifica se la sorgente è un URL HTTP(S)
+   * @param {string} url - URL o path della sorgente
+   * @returns {boolean}
+   */
+  isRemoteSource(url) {
+    return /^https?:\/\//i.test(url);
+  }
+
+  /**
+   * Converte un URL file:// o un path in path del filesystem
+   * @param {string} url - URL file:// o path (anche UNC)
+   * @returns {string} Path del filesystem
+   */
+  toFilePath(url) {
+    return url.startsWith('file:') ? fileURLToPath(url) : url;
+  }
+
+  /**
+   * Legge il contenuto grezzo di una sorgente
+   * @param {string} url - URL HTTP(S), URL file:// o path (anche UNC)
+   * @returns {Promise<string>} Contenuto testuale
+   */
+  async readSource(url) {
+    if (this.isRemoteSource(url)) {
+      return httpClient.getText(url, { timeout: 15000 });
+    }
+
+    return fs.promises.readFile(this.toFilePath(url), 'utf-8');
+  }
+
+  /**
+   * Parsa il contenuto del catalogo
+   * @param {string} content - JSON grezzo
+   * @param {string} label - Nome sorgente (per messaggi di errore)
+   * @returns {Array} Array di definizioni app
+   */
+  parseCatalog(content, label) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in catalog ${label}: ${error.message}`);
+    }
+
+    if (!Array.isArray(data)) {
+      throw new Error(`Catalog ${label} must be a JSON array`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Legge il contenuto di una sorgente e ne verifica la firma (se attiva)
+   * @param {Object} source - Sorgente {url, signatureUrl}
+   * @returns {Promise<Object>} {content, signature, keyId}
+   */
+  async readVerifiedSource(source) {
+    const content = await this.readSource(source.url);
+
+    if (!catalogSignature.isEnabled()) {
+      return { content, signature: null, keyId: null };
+    }
+
+    // Errori di firma marcati come `rejected`: la sorgente è raggiungibile ma non fidata
+    let signature;
+    try {
+      signature = await this.readSource(catalogSignature.getSignatureUrl(source));
+    } catch (error) {
+      throw Object.assign(new Error(`Catalog signature missing: ${error.message}`), { rejected: true });
+    }
+
+    try {
+      const keyId = catalogSignature.verify(content, signature);
+      return { content, signature: signature.trim(), keyId };
+    } catch (error) {
+      error.rejected = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Path del file di cache per una sorgente
+   * @param {Object} source - Sorgente {id}
+   * @returns {string} Path assoluto
+   */
+  getCachePath(source) {
+    const safeId = source.id.replace(/[^A-Za-z0-9._-]/g, '_');
+    return path.join(this.cacheDir, `${safeId}.json`);
+  }
+
+  /**
+   * Legge l'ultima copia valida (e verificata) di una sorgente da disco
+   * Con firme attive la copia viene riverificata: la cache è nella cartella
+   * utente e non è più fidata della sorgente
+   * @param {Object} source - Sorgente {id, url}
+   * @returns {Object|null} {url, fetchedAt, entries} o null
+   */
+  readCache(source) {
+    try {
+      const cachePath = this.getCachePath(source);
+      if (!fs.existsSync(cachePath)) return null;
+
+      const cached = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+
+      // Ignora copie di un URL diverso da quello configurato
+      if (cached.url !== source.url || typeof cached.content !== 'string') {
+        return null;
+      }
+
+      if (catalogSignature.isEnabled()) {
+        catalogSignature.verify(cached.content, cached.signature);
+      }
+
+      return {
+        url: cached.url,
+        fetchedAt: cached.fetchedAt,
+        entries: this.parseCatalog(cached.content, `cache ${source.id}`),
+      };
+    } catch (error) {
+      console.warn(`[Catalog] Failed to read cache for ${source.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Salva la copia valida di una sorgente su disco
+   * @param {Object} source - Sorgente {id, url}
+   * @param {string} content - Contenuto grezzo del catalogo
+   * @param {string|null} signature - Firma verificata (se attiva)
+   */
+  writeCache(source, content, signature) {
+    try {
+      const cachePath = this.getCachePath(source);
+      const tempPath = `${cachePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({
+        url: source.url,
+        fetchedAt: new Date().toISOString(),
+        content,
+        signature,
+      }, null, 2));
+      fs.renameSync(tempPath, cachePath);
+    } catch (error) {
+      console.warn(`[Catalog] Failed to write cache for ${source.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Carica le voci grezze di una sorgente (sorgente, poi cache)
+   * @param {Object} source - Sorgente {id, name, url}
+   * @returns {Promise<Object>} {entries, status} - entries è null se non disponibile
+   */
+  async loadSource(source) {
+    const status = {
+      ...source,
+      origin: null,
+      fetchedAt: null,
+      error: null,
+      rejected: false,
+      verified: catalogSignature.isEnabled() ? false : null,
+    };
+
+    try {
+      const { content, signature, keyId } = await this.readVerifiedSource(source);
+      const entries = this.parseCatalog(content, source.url);
+      this.writeCache(source, content, signature);
+
+      if (keyId) {
+        console.log(`[Catalog] Signature of ${source.id} verified with key ${keyId}`);
+      }
+
+      return {
+        entries,
+        status: {
+          ...status,
+          origin: 'source',
+          fetchedAt: new Date().toISOString(),
+          verified: keyId ? true : null,
+        },
+      };
+    } catch (error) {
+      console.warn(`[Catalog] Failed to load catalog ${source.id} from ${source.url}:`, error.message);
+      status.error = error.message;
+      status.rejected = Boolean(error.rejected);
+    }
+
+    // Offline, sorgente non raggiungibile o manomessa - usa ultima copia verificata
+    const cached = this.readCache(source);
+    if (cached) {
+      console.log(`[Catalog] Using cached catalog ${source.id} fetched at ${cached.fetchedAt}`);
+      return {
+        entries: cached.entries,
+        status: {
+          ...status,
+          origin: 'cache',
+          fetchedAt: cached.fetchedAt,
+          verified: catalogSignature.isEnabled() ? true : null,
+        },
+      };
+    }
+
+    return { entries: null, status };
+  }
+
+  /**
+   * Valida le voci di ogni sorgente e le unisce rispettando la precedenza
+   * @param {Array<Object>} loaded - [{source, entries}] in ordine di precedenza
+   * @returns {Object} {apps, issues}
+   */
+  mergeSources(loaded) {
+    const apps = [];
+    const issues = [];
+    const owners = new Map(); // appId -> sorgente che lo fornisce
+
+    for (const { source, entries } of loaded) {
+      const result = catalogValidator.validateCatalog(entries);
+      issues.push(...result.issues.map((issue) => ({ ...issue, sourceId: source.id })));
+
+      result.apps.forEach((appDef) => {
+        const owner = owners.get(appDef.id);
+
+        if (owner) {
+          issues.push({
+            index: entries.findIndex((entry) => entry && entry.id === appDef.id),
+            appId: appDef.id,
+            field: 'id',
+            severity: 'warning',
+            message: `Duplicate id "${appDef.id}" ignored: already provided by "${owner.name}"`,
+            sourceId: source.id,
+          });
+          return;
+        }
+
+        owners.set(appDef.id, source);
+        apps.push({
+          ...appDef,
+          sourceId: source.id,
+          sourceName: source.name,
+        });
+      });
+    }
+
+    return { apps, issues };
+  }
+
+  /**
+   * Carica il catalogo applicando la catena di fallback
+   * Caricamenti concorrenti condividono la stessa promise
+   * @returns {Promise<Array>} Definizioni app
+   */
+  async loadCatalog() {
+    if (!this.loadingPromise) {
+      this.loadingPromise = this.doLoadCatalog().finally(() => {
+        this.loadingPromise = null;
+      });
+    }
+    return this.loadingPromise;
+  }
+
+  /**
+   * Implementazione del caricamento (vedi loadCatalog)
+   * @returns {Promise<Array>} Definizioni app
+   */
+  async doLoadCatalog() {
+    const sources = this.getSources();
+    const loaded = [];
+    const sourceStatus = [];
+
+    for (const source of sources) {
+      const { entries, status } = await this.loadSource(source);
+      sourceStatus.push(status);
+      if (entries) {
+        loaded.push({ source, entries });
+      }
+    }
+
+    // Ultima risorsa: catalogo incluso nel pacchetto
+    if (loaded.length === 0) {
+      const bundledPath = this.getBundledCatalogPath();
+      if (!fs.existsSync(bundledPath)) {
+        const errors = sourceStatus.map((s) => `${s.name}: ${s.error}`).join('; ');
+        throw new Error(errors ? `Catalog unavailable: ${errors}` : 'apps.json not found');
+      }
+
+      const entries = this.parseCatalog(fs.readFileSync(bundledPath, 'utf-8'), bundledPath);
+      // Il catalogo incluso è parte del pacchetto firmato del launcher
+      loaded.push({ source: BUNDLED_SOURCE, entries });
+      sourceStatus.push({ ...BUNDLED_SOURCE, origin: 'bundled', fetchedAt: null, error: null, rejected: false, verified: null });
+    }
+
+    const { apps, issues } = this.mergeSources(loaded);
+    issues.push(...dependencyResolver.checkCatalog(apps));
+
+    this.apps = apps;
+    this.issues = issues;
+    this.sourceStatus = sourceStatus;
+    this.loadedAt = new Date().toISOString();
+
+    console.log(`[Catalog] Loaded ${apps.length} apps from ${loaded.length} source(s):`,
+      sourceStatus.map((s) => `${s.id}=${s.origin || 'unavailable'}`).join(', '));
+    return apps;
+  }
+
+  /**
+   * Avvia il monitoraggio delle sorgenti del catalogo
+   * File locali/UNC: polling di fs.watchFile (affidabile anche su share di rete)
+   * URL HTTP(S): ricarica periodica
+   * @param {Function} onChange - Callback chiamato con la diagnostica quando il catalogo cambia
+   */
+  startWatching(onChange) {
+    this.stopWatching();
+    this.onChange = onChange;
+
+    const sources = this.getSources();
+    const scheduleReload = () => {
+      // Debounce: gli editor spesso scrivono il file in più passaggi
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reloadIfChanged(onChange), 500);
+    };
+
+    const filePaths = sources.length > 0
+      ? sources.filter((s) => !this.isRemoteSource(s.url)).flatMap((s) => {
+        const paths = [this.toFilePath(s.url)];
+        // La firma può essere aggiornata dopo il catalogo
+        if (catalogSignature.isEnabled()) {
+          paths.push(this.toFilePath(catalogSignature.getSignatureUrl(s)));
+        }
+        return paths;
+      })
+      : [this.getBundledCatalogPath()];
+
+    if (sources.some((s) => this.isRemoteSource(s.url))) {
+      this.pollInterval = setInterval(scheduleReload, this.remotePollInterval);
+      console.log(`[Catalog] Polling remote sources every ${this.remotePollInterval}ms`);
+    }
+
+    for (const filePath of filePaths) {
+      fs.watchFile(filePath, { interval: 2000 }, (curr, prev) => {
+        if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) {
+          console.log(`[Catalog] Change detected in ${filePath}`);
+          scheduleReload();
+        }
+      });
+      this.watchedFiles.push(filePath);
+      console.log(`[Catalog] Watching ${filePath}`);
+    }
+  }
+
+  /**
+   * Ferma il monitoraggio delle sorgenti
+   */
+  stopWatching() {
+    for (const filePath of this.watchedFiles) {
+      fs.unwatchFile(filePath);
+    }
+    this.watchedFiles = [];
+
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+    clearTimeout(this.reloadTimer);
+  }
+
+  /**
+   * Ricarica e rivalida il catalogo, notificando solo se il contenuto è cambiato
+   * Le operazioni in corso non sono toccate: usano la definizione letta all'avvio
+   * @param {Function} onChange - Callback con la diagnostica aggiornata
+   */
+  async reloadIfChanged(onChange) {
+    const previous = JSON.stringify({ apps: this.apps, issues: this.issues });
+
+    try {
+      await this.loadCatalog();
+    } catch (error) {
+      console.warn('[Catalog] Reload failed, keeping current catalog:', error.message);
+      return;
+    }
+
+    if (JSON.stringify({ apps: this.apps, issues: this.issues }) !== previous) {
+      console.log('[Catalog] Catalog changed, notifying renderer');
+      onChange(this.getDiagnostics());
+    }
+  }
+
+  /**
+   * Applica le impostazioni delle sorgenti modificate (catalogSources, catalogUrl, catalogPublicKeys)
+   * Ferma il monitoraggio delle sorgenti precedenti, ricarica il catalogo e monitora quelle nuove
+   */
+  async reloadSources() {
+    const onChange = this.onChange;
+    this.stopWatching();
+
+    if (onChange) {
+      await this.reloadIfChanged(onChange);
+      this.startWatching(onChange);
+    } else {
+      await this.loadCatalog();
+    }
+  }
+
+  /**
+   * Ottiene il catalogo in memoria (lo carica se necessario)
+   * I testi localizzati sono risolti nella lingua corrente dell'utente
+   * @returns {Promise<Array>} Definizioni app
+   */
+  async getApps() {
+    if (!this.loadedAt) {
+      await this.loadCatalog();
+    }
+    const locale = localeService.getLocale();
+    return this.apps.map((appDef) => localeService.localizeApp(appDef, locale));
+  }
+
+  /**
+   * Cerca una definizione app per ID
+   * @param {string} appId - ID dell'app
+   * @returns {Promise<Object|null>} Definizione app o null
+   */
+  async getAppById(appId) {
+    const apps = await this.getApps();
+    return apps.find((a) => a.id === appId) || null;
+  }
+
+  /**
+   * Ottiene lo stato del catalogo (per diagnostica)
+   * @returns {Object} {loadedAt, count, sources: [{id, name, url, origin, fetchedAt, error, rejected, verified}],
+   *   signature: {enabled, keyCount, errors}} - rejected: firma mancante o non valida
+   */
+  getStatus() {
+    return {
+      loadedAt: this.loadedAt,
+      count: this.apps.length,
+      sources: this.sourceStatus,
+      signature: catalogSignature.getStatus(),
+    };
+  }
+
+  /**
+   * Ottiene stato e problemi di validazione del catalogo
+   * @returns {Object} {loadedAt, count, sources, signature, issues}
+   */
+  getDiagnostics() {
+    return {
+      ...this.getStatus(),
+      issues: this.issues,
+    };
+  }
+}
+
+// Export singleton instance
+export default new CatalogService();
@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import appStore from '../store/app-store.js';
+
+/**
+ * Chiavi pubbliche Ed25519 fidate per la firma dei cataloghi
+ *
+ * Le chiavi sono incluse nel launcher: chi può modificare apps.json non può
+ * anche cambiare le chiavi senza distribuire una nuova versione del launcher.
+ * Formato: chiave pubblica raw (32 byte) in base64, come prodotta da
+ * `node scripts/sign-catalog.mjs keygen`.
+ *
+ * Altre chiavi possono essere distribuite con l'impostazione `catalogPublicKeys`
+ * (stesso formato). Senza chiavi la verifica è disattivata e la diagnostica del
+ * catalogo lo segnala.
+ */
+const TRUSTED_CATALOG_KEYS = [
+  // { id: 'dhl-tools-2025', publicKey: 'BASE64_RAW_PUBLIC_KEY' },
+];
+
+/**
+ * Prefisso DER SubjectPublicKeyInfo per chiavi Ed25519 raw
+ */
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+/**
+ * Catalog Signature - Verifica le firme Ed25519 detached dei cataloghi
+ */
+class CatalogSignature {
+  constructor() {
+    // Chiavi caricate e impostazione da cui derivano (ricaricate se cambia)
+    this.keys = [];
+    this.keyErrors = [];
+    this.loadedFrom = null;
+  }
+
+  /**
+   * Chiavi fidate: quelle incluse nel launcher più `catalogPublicKeys` delle impostazioni
+   * Le chiavi non valide sono scartate e riportate in getStatus
+   * @returns {Array<Object>} [{id, keyObject}]
+   */
+  getKeys() {
+    const configured = appStore.getSetting('catalogPublicKeys');
+    const signature = JSON.stringify(configured || null);
+    if (this.loadedFrom === signature) return this.keys;
+
+    const entries = [...TRUSTED_CATALOG_KEYS, ...(Array.isArray(configured) ? configured : [])];
+    this.keys = [];
+    this.keyErrors = [];
+
+    entries.forEach((key, index) => {
+      const id = key?.id || `key-${index + 1}`;
+      try {
+        const raw = Buffer.from(String(key.publicKey), 'base64');
+        if (raw.length !== 32) {
+          throw new Error('expected a 32-byte Ed25519 public key in base64');
+        }
+        this.keys.push({
+          id,
+          keyObject: crypto.createPublicKey({
+            key: Buffer.concat([ED25519_SPKI_PREFIX, raw]),
+            format: 'der',
+            type: 'spki',
+          }),
+        });
+      } catch (error) {
+        this.keyErrors.push(`Invalid catalog key ${id}: ${error.message}`);
+      }
+    });
+
+    this.keyErrors.forEach((message) => console.warn(`[CatalogSignature] ${message}`));
+    if (this.keys.length === 0) {
+      console.warn('[CatalogSignature] No trusted keys - catalog signature verification disabled');
+    }
+
+    this.loadedFrom = signature;
+    return this.keys;
+  }
+
+  /**
+   * Verifica se la verifica delle firme è attiva
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.getKeys().length > 0;
+  }
+
+  /**
+   * Stato della verifica (per la diagnostica del catalogo)
+   * @returns {Object} {enabled, keyCount, errors}
+   */
+  getStatus() {
+    const keys = this.getKeys();
+    return { enabled: keys.length > 0, keyCount: keys.length, errors: [...this.keyErrors] };
+  }
+
+  /**
+   * URL della firma detached di una sorgente
+   * @param {Object} source - Sorgente {url, signatureUrl}
+   * @returns {string} URL o path della firma (default: `<url>.sig`)
+   */
+  getSignatureUrl(source) {
+    return source.signatureUrl || `${source.url}.sig`;
+  }
+
+  /**
+   * Verifica la firma di un catalogo con le chiavi fidate
+   * @param {string} content - Contenuto del catalogo (esattamente come firmato)
+   * @param {string} signature - Firma Ed25519 in base64
+   * @returns {string} ID della chiave che ha verificato la firma
+   * @throws {Error} Se la firma manca o non corrisponde a nessuna chiave fidata
+   */
+  verify(content, signature) {
+    if (!signature || !signature.trim()) {
+      throw new Error('Catalog signature missing');
+    }
+
+    const data = Buffer.from(content, 'utf-8');
+    const signatureBuffer = Buffer.from(signature.trim(), 'base64');
+
+    for (const key of this.getKeys()) {
+      if (crypto.verify(null, data, key.keyObject, signatureBuffer)) {
+        return key.id;
+      }
+    }
+
+    throw new Error('Catalog signature verification failed: the catalog may have been tampered with');
+  }
+}
+
+export default new CatalogSignature();
@@ -0,0 +1,342 @@
+import path from 'path';
+import { isValidRange } from '../../../shared/version.js';
+
+/**
+ * Pattern per ID app: lettere, numeri, punto, trattino e underscore
+ */
+const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Pattern per host (es: "github.example.com", "ghe.local:8443")
+ */
+const HOST_PATTERN = /^[A-Za-z0-9.-]+(:\d+)?$/;
+
+/**
+ * Pattern per categorie: slug minuscolo (es: "customs", "shipment-tools")
+ */
+const CATEGORY_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Verifica che un array contenga solo stringhe non vuote
+ * @param {Array} value
+ * @returns {string|null} Messaggio di errore o null
+ */
+const validateStringArray = (value) => (
+  value.every((item) => typeof item === 'string' && item.trim())
+    ? null
+    : 'must contain only non-empty strings'
+);
+
+/**
+ * Verifica che un array contenga solo exit code interi
+ * @param {Array} value
+ * @returns {string|null} Messaggio di errore o null
+ */
+const validateExitCodes = (value) => (
+  value.length > 0 && value.every((item) => Number.isInteger(item))
+    ? null
+    : 'must be a non-empty array of integers'
+);
+
+/**
+ * Verifica l'hint dell'eseguibile {fileName, path, registryName}
+ * @param {Object} value
+ * @returns {string|null} Messaggio di errore o null
+ */
+const validateExecutableHint = (value) => {
+  const keys = ['fileName', 'path', 'registryName'];
+  const unknown = Object.keys(value).filter((key) => !keys.includes(key));
+
+  if (unknown.length > 0) {
+    return `unknown keys: ${unknown.join(', ')}`;
+  }
+  if (!keys.some((key) => value[key] !== undefined)) {
+    return `must define at least one of: ${keys.join(', ')}`;
+  }
+  if (!keys.every((key) => value[key] === undefined || (typeof value[key] === 'string' && value[key].trim()))) {
+    return 'values must be non-empty strings';
+  }
+  if (value.fileName && /[\\/]/.test(value.fileName)) {
+    return 'fileName must not contain a path (use "path" instead)';
+  }
+  if (value.path && (path.win32.isAbsolute(value.path) || value.path.split(/[\\/]/).includes('..'))) {
+    return 'path must be relative to the install folder';
+  }
+  return null;
+};
+
+/**
+ * Verifica che una stringa sia un'espressione regolare valida
+ * @param {string} value
+ * @returns {string|null} Messaggio di errore o null
+ */
+const validateRegExp = (value) => {
+  try {
+    new RegExp(value, 'i');
+    return null;
+  } catch (error) {
+    return `invalid regular expression: ${error.message}`;
+  }
+};
+
+/**
+ * Verifica un intervallo di versioni (es: "1.4.x", ">=2.0.0 <2.3")
+ * @param {string} value
+ * @returns {string|null} Messaggio di errore o null
+ */
+const validateVersionRange = (value) => (isValidRange(value) ? null : 'invalid version range');
+
+/**
+ * Pattern per i codici lingua delle mappe localizzate (es: "it", "en", "it-IT")
+ */
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/i;
+
+/**
+ * Verifica un testo localizzato: stringa o mappa lingua -> testo
+ * @param {string|Object} value
+ * @returns {string|null} Messaggio di errore o null
+ */
+const validateLocalizedText = (value) => {
+  if (typeof value === 'string') return null;
+
+  const entries = Object.entries(value);
+  if (entries.length === 0) {
+    return 'must define at least one language';
+  }
+
+  const invalidLocales = entries.map(([locale]) => locale).filter((locale) => !LOCALE_PATTERN.test(locale));
+  if (invalidLocales.length > 0) {
+    return `invalid language codes: ${invalidLocales.join(', ')}`;
+  }
+  if (!entries.every(([, text]) => typeof text === 'string')) {
+    return 'translations must be strings';
+  }
+  return null;
+};
+
+/**
+ * Schema di una voce del catalogo (apps.json)
+ *
+ * Per ogni campo:
+ * - type: tipo/i JSON ammessi ('string', 'number', 'boolean', 'array', 'object', 'null')
+ * - required: se true la voce viene scartata quando il campo manca
+ * - default: valore (o funzione entry => valore) usato quando il campo manca
+ * - pattern / enum / format: vincoli aggiuntivi sul valore
+ * - localized: testo traducibile, stringa o mappa lingua -> testo risolta da LocaleService
+ */
+export const catalogEntrySchema = {
+  id: { type: 'string', required: true, pattern: ID_PATTERN },
+  name: { type: ['string', 'object'], required: true, localized: true, validate: validateLocalizedText },
+  version: { type: 'string', required: true },
+  downloadUrl: { type: 'string', required: true, format: 'source' },
+  changelogUrl: { type: 'string', format: 'url', default: (entry) => entry.downloadUrl },
+  description: { type: ['string', 'object'], default: '', localized: true, validate: validateLocalizedText },
+  icon: { type: 'string', default: 'fas fa-cube' },
+  coverImage: { type: ['string', 'null'], default: null },
+  coverGradient: { type: 'string' },
+  lastUpdate: { type: ['string', 'null'], pattern: /^\d{4}-\d{2}-\d{2}/, default: null },
+  developer: { type: 'string' },
+  installMethod: { type: 'string', enum: ['installer', 'zip'], default: 'installer' },
+  category: { type: 'string', pattern: CATEGORY_PATTERN },
+  tags: { type: 'array', validate: validateStringArray, default: () => [] },
+  dependsOn: { type: 'array', validate: validateStringArray, default: () => [] },
+  installerType: { type: 'string', enum: ['nsis', 'inno', 'squirrel', 'msi', 'zip'] },
+  installArgs: { type: 'array', validate: validateStringArray },
+  uninstallArgs: { type: 'array', validate: validateStringArray },
+  successExitCodes: { type: 'array', validate: validateExitCodes },
+  executable: { type: 'object', validate: validateExecutableHint },
+  assetPattern: { type: 'string', validate: validateRegExp },
+  assetExcludePattern: { type: 'string', validate: validateRegExp },
+  releaseProvider: { type: 'string', enum: ['github', 'gitlab', 'http-manifest', 'folder'] },
+  githubHost: { type: 'string', pattern: HOST_PATTERN },
+  githubApiUrl: { type: 'string', format: 'url' },
+  versionPin: { type: 'string', validate: validateVersionRange },
+};
+
+/**
+ * Catalog Validator - Valida le voci del catalogo con diagnostica per singola voce
+ */
+class CatalogValidator {
+  /**
+   * Tipo JSON di un valore
+   * @param {*} value
+   * @returns {string} 'null' | 'array' | 'string' | 'number' | 'boolean' | 'object' | 'undefined'
+   */
+  getType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  /**
+   * Verifica se una stringa è un URL HTTP(S) valido
+   * @param {string} value
+   * @returns {boolean}
+   */
+  isValidUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Verifica se una stringa è una sorgente di release valida:
+   * URL HTTP(S), URL file:// o path assoluto (locale o UNC)
+   * @param {string} value
+   * @returns {boolean}
+   */
+  isValidSource(value) {
+    if (this.isValidUrl(value) || path.win32.isAbsolute(value) || path.isAbsolute(value)) {
+      return true;
+    }
+
+    try {
+      return new URL(value).protocol === 'file:';
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Valida un singolo valore rispetto alla regola dello schema
+   * @param {*} value - Valore da validare
+   * @param {Object} rule - Regola dello schema
+   * @returns {string|null} Messaggio di errore o null se valido
+   */
+  checkValue(value, rule) {
+    const allowedTypes = Array.isArray(rule.type) ? rule.type : [rule.type];
+    const actualType = this.getType(value);
+
+    if (!allowedTypes.includes(actualType)) {
+      return `expected ${allowedTypes.join(' or ')}, got ${actualType}`;
+    }
+
+    if (typeof value === 'string') {
+      if (rule.required && !value.trim()) {
+        return 'must not be empty';
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return `invalid format "${value}"`;
+      }
+      if (rule.enum && !rule.enum.includes(value)) {
+        return `must be one of: ${rule.enum.join(', ')}`;
+      }
+      if (rule.format === 'url' && !this.isValidUrl(value)) {
+        return `invalid URL "${value}"`;
+      }
+      if (rule.format === 'source' && !this.isValidSource(value)) {
+        return `invalid URL or path "${value}"`;
+      }
+    }
+
+    if (rule.validate) {
+      return rule.validate(value);
+    }
+
+    return null;
+  }
+
+  /**
+   * Valida una voce del catalogo
+   * @param {*} entry - Voce grezza da apps.json
+   * @param {number} index - Posizione nel catalogo
+   * @returns {Object} {app, issues} - app è null se la voce è da scartare
+   */
+  validateEntry(entry, index) {
+    const issues = [];
+    const appId = entry && typeof entry.id === 'string' ? entry.id : null;
+
+    const addIssue = (severity, field, message) => {
+      issues.push({ index, appId, field, severity, message });
+    };
+
+    if (this.getType(entry) !== 'object') {
+      addIssue('error', null, `Entry must be an object, got ${this.getType(entry)}`);
+      return { app: null, issues };
+    }
+
+    const app = { ...entry };
+
+    for (const [field, rule] of Object.entries(catalogEntrySchema)) {
+      const value = entry[field];
+
+      if (value === undefined) {
+        if (rule.required) {
+          addIssue('error', field, `Missing required field "${field}"`);
+        } else if (rule.default !== undefined) {
+          app[field] = typeof rule.default === 'function' ? rule.default(entry) : rule.default;
+        }
+        continue;
+      }
+
+      const error = this.checkValue(value, rule);
+      if (error) {
+        if (rule.required) {
+          addIssue('error', field, `Invalid field "${field}": ${error}`);
+        } else {
+          // Campo opzionale non valido: la voce resta utilizzabile senza quel campo
+          addIssue('warning', field, `Invalid field "${field}" ignored: ${error}`);
+          if (rule.default !== undefined) {
+            app[field] = typeof rule.default === 'function' ? rule.default(entry) : rule.default;
+          } else {
+            delete app[field];
+          }
+        }
+      }
+    }
+
+    // Campi sconosciuti (spesso errori di battitura, es: "dowloadUrl")
+    for (const field of Object.keys(entry)) {
+      if (!(field in catalogEntrySchema)) {
+        addIssue('warning', field, `Unknown field "${field}"`);
+      }
+    }
+
+    const hasErrors = issues.some((issue) => issue.severity === 'error');
+    return { app: hasErrors ? null : app, issues };
+  }
+
+  /**
+   * Valida l'intero catalogo
+   * @param {Array} entries - Voci grezze da apps.json
+   * @returns {Object} {apps, issues} - apps contiene solo le voci valide
+   */
+  validateCatalog(entries) {
+    const apps = [];
+    const issues = [];
+    const seenIds = new Set();
+
+    entries.forEach((entry, index) => {
+      const result = this.validateEntry(entry, index);
+      issues.push(...result.issues);
+
+      if (!result.app) return;
+
+      if (seenIds.has(result.app.id)) {
+        issues.push({
+          index,
+          appId: result.app.id,
+          field: 'id',
+          severity: 'error',
+          message: `Duplicate id "${result.app.id}"`,
+        });
+        return;
+      }
+
+      seenIds.add(result.app.id);
+      apps.push(result.app);
+    });
+
+    for (const issue of issues) {
+      const label = issue.appId || `#${issue.index}`;
+      console.warn(`[CatalogValidator] ${issue.severity.toUpperCase()} in entry ${label}: ${issue.message}`);
+    }
+
+    return { apps, issues };
+  }
+}
+
+export default new CatalogValidator();
@@ -0,0 +1,223 @@
+import fs from 'fs';
+import tls from 'tls';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import appStore from '../store/app-store.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Sorgenti dei certificati CA aggiuntivi (impostazione `caSource`)
+ * - default: solo le CA incluse in Node.js (più NODE_EXTRA_CA_CERTS, se impostata)
+ * - file: bundle PEM indicato da `caBundlePath`
+ * - system: archivio certificati del sistema operativo (su Windows: Root di computer e utente)
+ */
+const CA_SOURCES = ['default', 'file', 'system'];
+
+/**
+ * Bundle di sistema delle distribuzioni Linux più comuni
+ */
+const LINUX_BUNDLE_PATHS = [
+  '/etc/ssl/certs/ca-certificates.crt',
+  '/etc/pki/tls/certs/ca-bundle.crt',
+  '/etc/ssl/cert.pem',
+];
+
+/**
+ * Esporta i certificati Root di Windows in base64 (DER), uno per riga
+ */
+const WINDOWS_EXPORT_SCRIPT =
+  'Get-ChildItem -Path Cert:\\LocalMachine\\Root, Cert:\\CurrentUser\\Root | ' +
+  'ForEach-Object { [Convert]::ToBase64String($_.RawData) }';
+
+/**
+ * Certificate Service - CA attendibili per le connessioni TLS del main process
+ *
+ * Le reti che ispezionano il traffico TLS ri-firmano i certificati con una CA aziendale,
+ * sconosciuta a Node.js: la CA va aggiunta a quelle predefinite (tls.rootCertificates).
+ */
+class CertificateService {
+  constructor() {
+    // Promise con il contesto TLS da usare (null = predefinito), condivisa tra le richieste:
+    // il contesto è creato una volta per configurazione, non ad ogni richiesta
+    this.loading = null;
+
+    // Esito dell'ultimo caricamento (per system:info)
+    this.status = { source: 'default', path: null, count: 0, error: null };
+  }
+
+  /**
+   * Sorgente configurata
+   * @returns {string} Una di CA_SOURCES (default: default)
+   */
+  getSource() {
+    const source = appStore.getSetting('caSource');
+    return CA_SOURCES.includes(source) ? source : 'default';
+  }
+
+  /**
+   * Opzioni TLS da aggiungere alle richieste HTTPS
+   * @returns {Promise<Object>} {secureContext} con le CA predefinite più quelle aggiuntive,
+   *   {} senza CA aggiuntive
+   */
+  async getTlsOptions() {
+    if (!this.loading) {
+      this.loading = this.load();
+    }
+
+    const secureContext = await this.loading;
+    return secureContext ? { secureContext } : {};
+  }
+
+  /**
+   * Carica le CA aggiuntive della sorgente configurata e crea il contesto TLS
+   * In caso di errore restano le CA predefinite e l'errore viene riportato in getStatus
+   * @returns {Promise<tls.SecureContext|null>} Contesto TLS o null se non ci sono CA aggiuntive
+   */
+  async load() {
+    const source = this.getSource();
+    const path = source === 'file' ? appStore.getSetting('caBundlePath') || null : null;
+    this.status = { source, path, count: 0, error: null };
+
+    if (source === 'default') return null;
+
+    try {
+      const extra = source === 'file' ? this.readPemFile(path) : await this.loadSystemCertificates();
+      this.status.count = extra.length;
+      console.log(`[Certificates] Loaded ${extra.length} CA certificates from ${source === 'file' ? path : 'the system store'}`);
+
+      // Un `ca` esplicito sostituisce anche NODE_EXTRA_CA_CERTS: va aggiunta di nuovo
+      const ca = [...new Set([...tls.rootCertificates, ...this.readEnvCertificates(), ...extra])];
+      return tls.createSecureContext({ ca });
+    } catch (error) {
+      this.status.error = error.message;
+      console.error('[Certificates] Failed to load CA certificates, using defaults:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Legge i certificati da un file PEM (anche con più certificati concatenati)
+   * @param {string|null} filePath - Path del bundle
+   * @returns {Array<string>} Certificati PEM
+   */
+  readPemFile(filePath) {
+    if (!filePath) {
+      throw new Error('No CA bundle file configured');
+    }
+
+    const certificates = this.extractPemCertificates(fs.readFileSync(filePath, 'utf-8'));
+    if (certificates.length === 0) {
+      throw new Error(`No PEM certificates found in ${filePath}`);
+    }
+    return certificates;
+  }
+
+  /**
+   * Certificati di NODE_EXTRA_CA_CERTS (un file non leggibile è ignorato, come fa Node.js)
+   * @returns {Array<string>} Certificati PEM
+   */
+  readEnvCertificates() {
+    const envPath = process.env.NODE_EXTRA_CA_CERTS;
+    if (!envPath) return [];
+
+    try {
+      return this.extractPemCertificates(fs.readFileSync(envPath, 'utf-8'));
+    } catch (error) {
+      console.warn(`[Certificates] Failed to read NODE_EXTRA_CA_CERTS (${envPath}):`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Estrae i blocchi CERTIFICATE da un testo PEM
+   * @param {string} text - Contenuto PEM
+   * @returns {Array<string>}
+   */
+  extractPemCertificates(text) {
+    return text.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+  }
+
+  /**
+   * Legge le CA dall'archivio del sistema operativo
+   * @returns {Promise<Array<string>>} Certificati PEM
+   */
+  async loadSystemCertificates() {
+    if (process.platform === 'win32') {
+      const { stdout } = await execFileAsync(
+        'powershell.exe',
+        ['-NoProfile', '-NonInteractive', '-Command', WINDOWS_EXPORT_SCRIPT],
+        { timeout: 30000, maxBuffer: 32 * 1024 * 1024, windowsHide: true }
+      );
+
+      return stdout
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .map((base64) => `-----BEGIN CERTIFICATE-----\n${base64.match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----`);
+    }
+
+    if (process.platform === 'darwin') {
+      const { stdout } = await execFileAsync(
+        'security',
+        ['find-certificate', '-a', '-p', '/Library/Keychains/System.keychain', '/System/Library/Keychains/SystemRootCertificates.keychain'],
+        { timeout: 30000, maxBuffer: 32 * 1024 * 1024 }
+      );
+      return this.extractPemCertificates(stdout);
+    }
+
+    const bundlePath = LINUX_BUNDLE_PATHS.find((candidate) => fs.existsSync(candidate));
+    if (!bundlePath) {
+      throw new Error('System CA bundle not found');
+    }
+    return this.readPemFile(bundlePath);
+  }
+
+  /**
+   * Scarta le CA caricate: la richiesta successiva rilegge la configurazione
+   */
+  reset() {
+    this.loading = null;
+  }
+
+  /**
+   * Sorgente delle CA attiva (per system:info e impostazioni)
+   * @returns {Object} {source: 'default'|'env'|'file'|'system', path, count, error}
+   */
+  getStatus() {
+    const source = this.getSource();
+
+    // NODE_EXTRA_CA_CERTS è applicata da Node.js all'avvio del processo
+    if (source === 'default' && process.env.NODE_EXTRA_CA_CERTS) {
+      return { source: 'env', path: process.env.NODE_EXTRA_CA_CERTS, count: null, error: null };
+    }
+    if (!this.loading || this.status.source !== source) {
+      return { source, path: source === 'file' ? appStore.getSetting('caBundlePath') || null : null, count: null, error: null };
+    }
+    return { ...this.status };
+  }
+
+  /**
+   * Salva la sorgente delle CA e la carica subito (l'esito è in getStatus)
+   * @param {Object} config - {source, path}
+   * @returns {Promise<Object>} Stato dopo il caricamento
+   */
+  async setConfig(config) {
+    const { source, path = '' } = config;
+
+    if (!CA_SOURCES.includes(source)) {
+      throw new Error(`Invalid CA source: ${source}`);
+    }
+    if (source === 'file' && !path.trim()) {
+      throw new Error('CA bundle path is required');
+    }
+
+    appStore.updateSettings({ caSource: source, caBundlePath: path.trim() });
+    this.reset();
+    await this.getTlsOptions();
+
+    return this.getStatus();
+  }
+}
+
+export default new CertificateService();
@@ -0,0 +1,111 @@
+import appStore from '../store/app-store.js';
+
+/**
+ * Dependency Resolver - Risolve le dipendenze tra app del catalogo (campo dependsOn)
+ */
+class DependencyResolver {
+  /**
+   * Ordine di installazione di un'app e delle sue dipendenze (ordinamento topologico)
+   * @param {string} appId - ID dell'app da installare
+   * @param {Array<Object>} apps - Definizioni app del catalogo
+   * @returns {Array<Object>} Definizioni app in ordine di installazione (l'app richiesta è l'ultima)
+   * @throws {Error} Se una dipendenza non è nel catalogo o se esiste un ciclo
+   */
+  resolveInstallOrder(appId, apps) {
+    const byId = new Map(apps.map((appDef) => [appDef.id, appDef]));
+    const order = [];
+    const visited = new Set();
+    const path = []; // Catena di visita corrente, per rilevare i cicli
+
+    const visit = (id, requiredBy) => {
+      if (visited.has(id)) return;
+
+      if (path.includes(id)) {
+        const cycle = [...path.slice(path.indexOf(id)), id].join(' -> ');
+        throw new Error(`Dependency cycle detected: ${cycle}`);
+      }
+
+      const appDef = byId.get(id);
+      if (!appDef) {
+        throw new Error(requiredBy
+          ? `Dependency "${id}" required by "${requiredBy}" not found in catalog`
+          : 'App not found');
+      }
+
+      path.push(id);
+      for (const dependencyId of appDef.dependsOn || []) {
+        visit(dependencyId, id);
+      }
+      path.pop();
+
+      visited.add(id);
+      order.push(appDef);
+    };
+
+    visit(appId, null);
+    return order;
+  }
+
+  /**
+   * Dipendenze (dirette e indirette) non ancora installate, in ordine di installazione
+   * @param {string} appId - ID dell'app da installare
+   * @param {Array<Object>} apps - Definizioni app del catalogo
+   * @returns {Array<Object>} Definizioni delle dipendenze mancanti
+   */
+  getMissingDependencies(appId, apps) {
+    return this.resolveInstallOrder(appId, apps)
+      .filter((appDef) => appDef.id !== appId && !appStore.getInstalledApp(appDef.id));
+  }
+
+  /**
+   * App installate che dipendono direttamente da un'app
+   * @param {string} appId - ID dell'app
+   * @param {Array<Object>} apps - Definizioni app del catalogo
+   * @returns {Array<Object>} Definizioni delle app dipendenti installate
+   */
+  getInstalledDependents(appId, apps) {
+    return apps.filter((appDef) =>
+      (appDef.dependsOn || []).includes(appId) && appStore.getInstalledApp(appDef.id)
+    );
+  }
+
+  /**
+   * Verifica le dipendenze dell'intero catalogo (ID sconosciuti e cicli)
+   * @param {Array<Object>} apps - Definizioni app del catalogo unito
+   * @returns {Array<Object>} Problemi nel formato della diagnostica del catalogo
+   */
+  checkCatalog(apps) {
+    const ids = new Set(apps.map((appDef) => appDef.id));
+    const issues = [];
+
+    const addIssue = (appDef, message) => {
+      issues.push({
+        index: null,
+        appId: appDef.id,
+        field: 'dependsOn',
+        severity: 'warning',
+        message,
+        sourceId: appDef.sourceId,
+      });
+    };
+
+    for (const appDef of apps) {
+      const unknown = (appDef.dependsOn || []).filter((id) => !ids.has(id));
+
+      if (unknown.length > 0) {
+        addIssue(appDef, `Unknown dependencies: ${unknown.join(', ')} (installation will fail)`);
+        continue;
+      }
+
+      try {
+        this.resolveInstallOrder(appDef.id, apps);
+      } catch (error) {
+        addIssue(appDef, `${error.message} (installation will fail)`);
+      }
+    }
+
+    return issues;
+  }
+}
+
+export default new DependencyResolver();
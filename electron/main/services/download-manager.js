@@ -1,8 +1,12 @@
+import http from 'http';
 import https from 'https';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
 import { app } from 'electron';
 import crypto from 'crypto';
+import proxyService from './proxy-service.js';
+import certificateService from './certificate-service.js';
 
 /**
  * Download Manager - Gestisce download con progress tracking
@@ -46,14 +50,32 @@ class DownloadManager {
   }
 
   /**
-   * Scarica file da URL con progress tracking
+   * Verifica se la sorgente è un file del filesystem (path locale, UNC o file://)
+   * @param {string} url - URL o path da scaricare
+   * @returns {boolean}
+   */
+  isLocalSource(url) {
+    return !/^https?:\/\//i.test(url);
+  }
+
+  /**
+   * Scarica file da URL (HTTP/HTTPS) o lo copia dal filesystem con progress tracking
    * @param {string} appId - ID dell'app
-   * @param {string} url - URL da scaricare
+   * @param {string} url - URL da scaricare o path del file (locale, UNC o file://)
    * @param {Function} progressCallback - Callback per progresso (appId, progress, bytesReceived, bytesTotal, speed)
    * @param {string} originalFileName - Nome file originale (usato per preservare estensione dopo redirect)
+   * @param {Object} headers - Header HTTP aggiuntivi (es: autenticazione), non inoltrati ad altri host
+   * @param {Object} options - {allowLocal}: consente la copia dal filesystem (solo sorgenti locali)
    * @returns {Promise<string>} Path al file scaricato
    */
-  async downloadFile(appId, url, progressCallback, originalFileName = null) {
+  async downloadFile(appId, url, progressCallback, originalFileName = null, headers = {}, { allowLocal = false } = {}) {
+    if (this.isLocalSource(url)) {
+      if (!allowLocal) {
+        throw new Error(`Refusing to copy a local file for a remote release source: ${url}`);
+      }
+      return this.copyLocalFile(appId, url, progressCallback, originalFileName);
+    }
+
     // Usa originalFileName se fornito, altrimenti estrai dall'URL
     const fileName = originalFileName || path.basename(new URL(url).pathname);
     const urlHash = crypto.createHash('md5').update(url).digest('hex').substring(0, 8);
@@ -67,6 +89,9 @@ class DownloadManager {
       throw new Error('Download already in progress for this app');
     }
 
+    const agent = await proxyService.getAgent(url);
+    const tlsOptions = await certificateService.getTlsOptions();
+
     return new Promise((resolve, reject) => {
       const file = fs.createWriteStream(filePath);
       let receivedBytes = 0;
@@ -74,14 +99,18 @@ class DownloadManager {
       let startTime = Date.now();
       let lastProgressTime = Date.now();
 
-      const request = https.get(url, (response) => {
-        // Gestisci redirect
-        if (response.statusCode === 301 || response.statusCode === 302) {
-          const redirectUrl = response.headers.location;
+      const client = new URL(url).protocol === 'http:' ? http : https;
+      const request = client.get(url, { ...tlsOptions, agent, headers: { 'User-Agent': 'Apps-Launcher', ...headers } }, (response) => {
+        // Gestisci redirect (Location può essere relativa)
+        if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location) {
+          const redirectUrl = new URL(response.headers.location, url).toString();
+          response.resume();
           file.close();
           fs.unlinkSync(filePath);
+          // Le credenziali restano sull'host originale (es: storage firmato degli asset GitHub)
+          const redirectHeaders = new URL(redirectUrl).host === new URL(url).host ? headers : {};
           // Preserva il nome file originale attraverso il redirect
-          this.downloadFile(appId, redirectUrl, progressCallback, fileName)
+          this.downloadFile(appId, redirectUrl, progressCallback, fileName, redirectHeaders)
             .then(resolve)
             .catch(reject);
           return;
@@ -168,6 +197,105 @@ class DownloadManager {
     });
   }
 
+  /**
+   * Copia un installer dal filesystem (cartella locale o di rete) con progress tracking
+   * @param {string} appId - ID dell'app
+   * @param {string} source - Path del file o URL file://
+   * @param {Function} progressCallback - Callback per progresso (come downloadFile)
+   * @param {string} originalFileName - Nome file originale (opzionale)
+   * @returns {Promise<string>} Path alla copia nella directory temporanea
+   */
+  async copyLocalFile(appId, source, progressCallback, originalFileName = null) {
+    const sourcePath = source.startsWith('file://') ? fileURLToPath(source) : source;
+    const fileName = originalFileName || path.win32.basename(sourcePath);
+    const pathHash = crypto.createHash('md5').update(sourcePath).digest('hex').substring(0, 8);
+    const filePath = path.join(this.tempDir, `${pathHash}_${fileName}`);
+
+    console.log(`[DEBUG] Copy for ${appId}:`, { sourcePath, filePath });
+
+    if (this.activeDownloads.has(appId)) {
+      throw new Error('Download already in progress for this app');
+    }
+
+    let totalBytes;
+    try {
+      totalBytes = (await fs.promises.stat(sourcePath)).size;
+    } catch (error) {
+      throw new Error(`Installer not accessible: ${sourcePath} (${error.code || error.message})`);
+    }
+
+    return new Promise((resolve, reject) => {
+      const input = fs.createReadStream(sourcePath);
+      const file = fs.createWriteStream(filePath);
+      let receivedBytes = 0;
+      const startTime = Date.now();
+      let lastProgressTime = Date.now();
+
+      // Stessa interfaccia di una richiesta HTTP per cancelDownload
+      this.activeDownloads.set(appId, { request: input, filePath });
+
+      const fail = (err) => {
+        input.destroy();
+        file.close();
+        this.activeDownloads.delete(appId);
+
+        if (fs.existsSync(filePath)) {
+          try {
+            fs.unlinkSync(filePath);
+          } catch (e) {
+            console.error('Failed to delete partial copy:', e);
+          }
+        }
+
+        reject(new Error(`Copy failed: ${err.message}`));
+      };
+
+      input.on('data', (chunk) => {
+        receivedBytes += chunk.length;
+
+        const now = Date.now();
+        if (progressCallback && now - lastProgressTime >= 200) {
+          progressCallback({
+            appId,
+            progress: totalBytes ? Math.round((receivedBytes / totalBytes) * 10000) / 100 : 0,
+            bytesReceived: receivedBytes,
+            bytesTotal: totalBytes,
+            speed: Math.round(receivedBytes / ((now - startTime) / 1000)),
+          });
+          lastProgressTime = now;
+        }
+      });
+
+      input.on('error', fail);
+      file.on('error', fail);
+
+      // cancelDownload distrugge lo stream senza errore
+      input.on('close', () => {
+        if (receivedBytes < totalBytes) fail(new Error('Copy canceled'));
+      });
+
+      file.on('finish', () => {
+        file.close(() => {
+          this.activeDownloads.delete(appId);
+
+          if (progressCallback) {
+            progressCallback({
+              appId,
+              progress: 100,
+              bytesReceived: totalBytes,
+              bytesTotal: totalBytes,
+              speed: 0,
+            });
+          }
+
+          resolve(filePath);
+        });
+      });
+
+      input.pipe(file);
+    });
+  }
+
   /**
    * Cancella download attivo
    * @param {string} appId - ID dell'app
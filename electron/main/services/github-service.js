@@ -1,52 +1,322 @@
+import http from 'http';
 import https from 'https';
+import appStore from '../store/app-store.js';
+import proxyService from './proxy-service.js';
+import certificateService from './certificate-service.js';
 
 /**
- * Service per interagire con GitHub Releases API
+ * Server pubblico github.com
+ */
+const PUBLIC_SERVER = {
+  webHost: 'github.com',
+  apiUrl: 'https://api.github.com',
+  enterprise: false,
+};
+
+/**
+ * Nome della credenziale con il token github.com (vedi AppStore.setCredential)
+ */
+const TOKEN_CREDENTIAL = 'githubToken';
+
+/**
+ * Tentativi aggiuntivi per errori temporanei e limiti secondari brevi
+ */
+const MAX_RETRIES = 2;
+
+/**
+ * Attesa massima prima di riprovare una richiesta limitata (oltre: backoff senza retry)
+ */
+const MAX_RETRY_DELAY_MS = 10000;
+
+/**
+ * Attesa prima di interrogare di nuovo /rate_limit dopo un errore (una risposta 404 è definitiva)
+ */
+const RATE_LIMIT_RETRY_MS = 5 * 60 * 1000;
+
+/**
+ * Repository interrogati per ogni query GraphQL di getLatestReleases
+ */
+const GRAPHQL_BATCH_SIZE = 50;
+
+/**
+ * Campi della release richiesti via GraphQL (convertiti nel formato REST da toRestRelease)
+ */
+const RELEASE_FIELDS_FRAGMENT = `fragment ReleaseFields on Release {
+  tagName
+  name
+  description
+  publishedAt
+  isPrerelease
+  isDraft
+  url
+  releaseAssets(first: 100) {
+    nodes { name downloadUrl size }
+  }
+}`;
+
+/**
+ * Service per interagire con GitHub Releases API (github.com e GitHub Enterprise Server)
  */
 class GitHubService {
   constructor() {
     // Token opzionale per rate limiting aumentato (60 -> 5000 req/ora)
-    this.token = process.env.GITHUB_TOKEN || null;
+    // Quello salvato nelle impostazioni (loadStoredToken) ha la precedenza su GITHUB_TOKEN
+    this.envToken = process.env.GITHUB_TOKEN || null;
+    this.token = this.envToken;
+    this.tokenSource = this.envToken ? 'env' : null;
+
+    // Risposte per URL con il loro ETag: {etag, data}
+    this.etagCache = new Map();
+
+    // Quota per server (apiUrl) e risorsa (core, graphql, ...) dagli header X-RateLimit-*
+    this.rateLimits = new Map();
+
+    // Fine del backoff per server (timestamp ms)
+    this.backoffUntil = new Map();
+
+    // Server senza /rate_limit (es: Enterprise con rate limiting disabilitato): prossimo tentativo (timestamp ms)
+    this.rateLimitRetryAt = new Map();
+
+    // Token per GitHub Enterprise Server: mai inviato a github.com (e viceversa)
+    this.enterpriseToken = process.env.GH_ENTERPRISE_TOKEN || process.env.GITHUB_ENTERPRISE_TOKEN || null;
 
     if (this.token) {
-      console.log(`[GitHub] Token loaded - Rate limit: 5,000 req/h (token: ${this.token.substring(0, 8)}...)`);
+      console.log('[GitHub] Token loaded from environment - Rate limit: 5,000 req/h');
     } else {
       console.log('[GitHub] No token - Rate limit: 60 req/h (unauthenticated)');
     }
+
+    if (this.enterpriseToken) {
+      console.log('[GitHub] GitHub Enterprise token loaded');
+    }
   }
 
   /**
-   * Estrae owner/repo da URL GitHub
-   * @param {string} url - URL GitHub (es: https://github.com/user/repo/releases)
-   * @returns {Object|null} {owner, repo} o null se invalido
+   * Carica il token salvato nelle impostazioni (richiede l'app pronta per decifrarlo)
    */
-  parseGitHubUrl(url) {
+  loadStoredToken() {
+    const storedToken = appStore.getCredential(TOKEN_CREDENTIAL);
+    if (storedToken) {
+      this.applyToken(storedToken, 'settings');
+      console.log('[GitHub] Token loaded from secure storage - Rate limit: 5,000 req/h');
+    }
+  }
+
+  /**
+   * Salva il token (cifrato) e lo usa subito per le richieste successive
+   * @param {string} token - Personal Access Token
+   */
+  setToken(token) {
+    const value = typeof token === 'string' ? token.trim() : '';
+    if (!value) {
+      throw new Error('GitHub token must not be empty');
+    }
+
+    appStore.setCredential(TOKEN_CREDENTIAL, value);
+    this.applyToken(value, 'settings');
+    console.log('[GitHub] Token saved to secure storage');
+  }
+
+  /**
+   * Rimuove il token salvato; resta l'eventuale GITHUB_TOKEN dell'ambiente
+   */
+  clearToken() {
+    appStore.deleteCredential(TOKEN_CREDENTIAL);
+    this.applyToken(this.envToken, this.envToken ? 'env' : null);
+    console.log(`[GitHub] Stored token removed${this.envToken ? ', using token from environment' : ''}`);
+  }
+
+  /**
+   * Attiva un token per github.com
+   * Le risposte in cache e la quota appartengono al token precedente e vengono scartate
+   * @param {string|null} token - Token da usare
+   * @param {string|null} source - Provenienza: 'settings', 'env' o null
+   */
+  applyToken(token, source) {
+    this.token = token;
+    this.tokenSource = source;
+
+    for (const key of this.etagCache.keys()) {
+      if (key.startsWith(`${PUBLIC_SERVER.apiUrl}/`)) this.etagCache.delete(key);
+    }
+    this.rateLimits.delete(PUBLIC_SERVER.apiUrl);
+    this.backoffUntil.delete(PUBLIC_SERVER.apiUrl);
+  }
+
+  /**
+   * Stato del token github.com (il valore non lascia mai il main process)
+   * @returns {Object} {configured, source, encryptionAvailable}
+   */
+  getTokenStatus() {
+    return {
+      configured: Boolean(this.token),
+      source: this.tokenSource,
+      encryptionAvailable: appStore.isEncryptionAvailable(),
+    };
+  }
+
+  /**
+   * Verifica un token chiamando /user su github.com
+   * @param {string|null} token - Token da verificare (default: quello in uso)
+   * @returns {Promise<Object>} {valid, login, scopes, rateLimit} o {valid: false, error}
+   */
+  async testToken(token = this.token) {
+    const value = typeof token === 'string' ? token.trim() : '';
+    if (!value) {
+      throw new Error('No GitHub token configured');
+    }
+
+    const response = await this.sendRequest(new URL(`${PUBLIC_SERVER.apiUrl}/user`), PUBLIC_SERVER, { token: value });
+
+    if (response.statusCode === 200) {
+      const user = JSON.parse(response.body);
+      return {
+        valid: true,
+        login: user.login,
+        // Solo i token classic dichiarano gli scope
+        scopes: response.headers['x-oauth-scopes'] ?? null,
+        rateLimit: Number(response.headers['x-ratelimit-limit']) || null,
+      };
+    }
+
+    if (response.statusCode === 401) {
+      return { valid: false, error: this.getErrorMessage(response.body) };
+    }
+
+    throw new Error(`GitHub API error: ${response.statusCode} - ${this.getErrorMessage(response.body)}`);
+  }
+
+  /**
+   * Ottiene il server GitHub Enterprise configurato
+   * Priorità: campi `githubHost` / `githubApiUrl` dell'app > impostazioni omonime >
+   * variabili d'ambiente GITHUB_HOST / GITHUB_API_URL
+   * @param {Object|null} appDef - Definizione app dal catalogo (opzionale)
+   * @returns {Object|null} {webHost, apiUrl, enterprise} o null se non configurato
+   */
+  getEnterpriseServer(appDef = null) {
+    let host;
+    let apiUrl;
+
+    if (appDef && (appDef.githubHost || appDef.githubApiUrl)) {
+      ({ githubHost: host, githubApiUrl: apiUrl } = appDef);
+    } else {
+      host = appStore.getSetting('githubHost') || process.env.GITHUB_HOST;
+      apiUrl = appStore.getSetting('githubApiUrl') || process.env.GITHUB_API_URL;
+    }
+
+    if (!host && !apiUrl) return null;
+
     try {
-      const match = url.match(/github\.com\/([^/]+)\/([^/]+)/);
-      if (match) {
-        return {
-          owner: match[1],
-          repo: match[2],
-        };
-      }
+      const webHost = (host || new URL(apiUrl).host).toLowerCase();
+      return { webHost, apiUrl: this.normalizeApiUrl(apiUrl || `https://${webHost}`), enterprise: true };
+    } catch {
+      console.warn(`[GitHub] Invalid GitHub Enterprise API URL: ${apiUrl}`);
       return null;
-    } catch (error) {
-      console.error('Error parsing GitHub URL:', error);
+    }
+  }
+
+  /**
+   * Completa l'URL dell'API Enterprise con il prefisso /api/v3
+   * GHES espone l'API REST sotto /api/v3 dello stesso host; gli host "api.*" (es: GHE.com) no
+   * @param {string} apiUrl - URL configurato (es: "https://ghe.example.com" o ".../api/v3")
+   * @returns {string} URL base dell'API senza slash finale
+   */
+  normalizeApiUrl(apiUrl) {
+    const url = new URL(apiUrl);
+    const base = `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+
+    if (url.pathname.replace(/\/+$/, '') === '' && !url.hostname.startsWith('api.')) {
+      return `${base}/api/v3`;
+    }
+    return base;
+  }
+
+  /**
+   * Individua il server GitHub di un URL web
+   * @param {string} url - URL del repository
+   * @param {Object|null} appDef - Definizione app (per il server configurato sulla voce)
+   * @returns {Object|null} Server {webHost, apiUrl, enterprise} o null se non è un URL GitHub
+   */
+  getServerForUrl(url, appDef = null) {
+    let host;
+    try {
+      host = new URL(url).host.toLowerCase();
+    } catch {
       return null;
     }
+
+    if (host === 'github.com' || host === 'www.github.com') {
+      return PUBLIC_SERVER;
+    }
+
+    const enterprise = this.getEnterpriseServer(appDef);
+    return enterprise && enterprise.webHost === host ? enterprise : null;
   }
 
   /**
-   * Effettua chiamata HTTP all'API GitHub
-   * @param {string} path - Path API (es: /repos/owner/repo/releases/latest)
-   * @returns {Promise<Object>} Response JSON
+   * Estrae owner/repo da URL GitHub
+   * @param {string} url - URL GitHub (es: https://github.com/user/repo/releases o https://ghe.example.com/team/repo)
+   * @param {Object|null} appDef - Definizione app (per il server configurato sulla voce)
+   * @returns {Object|null} {owner, repo, server} o null se invalido
+   */
+  parseGitHubUrl(url, appDef = null) {
+    const server = this.getServerForUrl(url, appDef);
+    if (!server) return null;
+
+    const match = new URL(url).pathname.match(/^\/([^/]+)\/([^/]+)/);
+    if (!match) return null;
+
+    return {
+      owner: match[1],
+      repo: match[2].replace(/\.git$/, ''),
+      server,
+    };
+  }
+
+  /**
+   * Token da usare per un server
+   * @param {Object} server - Server GitHub
+   * @returns {string|null}
+   */
+  getTokenFor(server) {
+    return server.enterprise ? this.enterpriseToken : this.token;
+  }
+
+  /**
+   * Header per scaricare un asset tramite l'API (asset privati su GitHub Enterprise)
+   * @param {string} url - URL API dell'asset ({apiUrl}/repos/owner/repo/releases/assets/{id})
+   * @param {Object|null} appDef - Definizione app (per il server configurato sulla voce)
+   * @returns {Object} Header HTTP (vuoto se l'URL non è un asset dell'API Enterprise)
+   */
+  getAssetDownloadHeaders(url, appDef = null) {
+    const server = this.getEnterpriseServer(appDef);
+    if (!server || !this.enterpriseToken || !url.startsWith(`${server.apiUrl}/`)) {
+      return {};
+    }
+
+    return {
+      'Accept': 'application/octet-stream',
+      'Authorization': `token ${this.enterpriseToken}`,
+    };
+  }
+
+  /**
+   * Esegue una richiesta all'API senza interpretare lo status
+   * @param {URL} requestUrl - URL completo della richiesta
+   * @param {Object} server - Server GitHub
+   * @param {Object} options - {etag, body, token} - ETag della risposta in cache (richiesta condizionale),
+   * body JSON (richiesta POST, es: GraphQL) e token alternativo a quello del server
+   * @returns {Promise<Object>} {statusCode, headers, body}
    */
-  async makeRequest(path) {
+  async sendRequest(requestUrl, server, { etag = null, body = null, token = this.getTokenFor(server) } = {}) {
+    const agent = await proxyService.getAgent(requestUrl.toString());
+    const tlsOptions = await certificateService.getTlsOptions();
+
     return new Promise((resolve, reject) => {
       const options = {
-        hostname: 'api.github.com',
-        path: path,
-        method: 'GET',
+        ...tlsOptions,
+        method: body ? 'POST' : 'GET',
+        agent,
         headers: {
           'User-Agent': 'Apps-Launcher',
           'Accept': 'application/vnd.github.v3+json',
@@ -54,11 +324,21 @@ class GitHubService {
       };
 
       // Aggiungi auth se disponibile
-      if (this.token) {
-        options.headers['Authorization'] = `token ${this.token}`;
+      if (token) {
+        options.headers['Authorization'] = `token ${token}`;
+      }
+
+      // Le risposte 304 non consumano quota
+      if (etag) {
+        options.headers['If-None-Match'] = etag;
       }
 
-      const req = https.request(options, (res) => {
+      if (body) {
+        options.headers['Content-Type'] = 'application/json';
+      }
+
+      const client = requestUrl.protocol === 'http:' ? http : https;
+      const req = client.request(requestUrl, options, (res) => {
         let data = '';
 
         res.on('data', (chunk) => {
@@ -66,24 +346,12 @@ class GitHubService {
         });
 
         res.on('end', () => {
-          if (res.statusCode === 200) {
-            try {
-              resolve(JSON.parse(data));
-            } catch (error) {
-              reject(new Error(`Failed to parse GitHub response: ${error.message}`));
-            }
-          } else if (res.statusCode === 404) {
-            reject(new Error('GitHub repository or release not found'));
-          } else if (res.statusCode === 403) {
-            reject(new Error('GitHub API rate limit exceeded. Please try again later.'));
-          } else {
-            reject(new Error(`GitHub API error: ${res.statusCode} - ${data}`));
-          }
+          resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
         });
       });
 
       req.on('error', (error) => {
-        reject(new Error(`GitHub API request failed: ${error.message}`));
+        reject(new Error(`GitHub API request to ${requestUrl.host} failed: ${error.message}`));
       });
 
       req.setTimeout(10000, () => {
@@ -91,8 +359,259 @@ class GitHubService {
         reject(new Error('GitHub API request timeout'));
       });
 
-      req.end();
+      req.end(body || undefined);
+    });
+  }
+
+  /**
+   * Effettua chiamata HTTP all'API GitHub
+   * Usa richieste condizionali (ETag) e rispetta i limiti: durante un backoff
+   * restituisce la risposta in cache, se presente, senza contattare il server
+   * @param {string} path - Path API (es: /repos/owner/repo/releases/latest)
+   * @param {Object} server - Server GitHub (default: github.com)
+   * @returns {Promise<Object>} Response JSON
+   */
+  async makeRequest(path, server = PUBLIC_SERVER) {
+    const requestUrl = new URL(`${server.apiUrl}${path}`);
+    const cacheKey = requestUrl.toString();
+    const cached = this.etagCache.get(cacheKey);
+
+    const backoffUntil = this.backoffUntil.get(server.apiUrl) || 0;
+    if (Date.now() < backoffUntil) {
+      if (cached) {
+        console.log(`[GitHub] Rate limited until ${new Date(backoffUntil).toLocaleTimeString()}, using cached response for ${path}`);
+        return cached.data;
+      }
+      throw this.createRateLimitError(backoffUntil);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const response = await this.sendRequest(requestUrl, server, { etag: cached ? cached.etag : null });
+      this.updateRateLimit(server, response.headers);
+
+      if (response.statusCode === 304 && cached) {
+        return cached.data;
+      }
+
+      if (response.statusCode === 200) {
+        let data;
+        try {
+          data = JSON.parse(response.body);
+        } catch (error) {
+          throw new Error(`Failed to parse GitHub response: ${error.message}`);
+        }
+
+        if (response.headers.etag) {
+          this.etagCache.set(cacheKey, { etag: response.headers.etag, data });
+        }
+        return data;
+      }
+
+      if (response.statusCode === 404) {
+        const error = new Error('GitHub repository or release not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      if (response.statusCode === 403 || response.statusCode === 429) {
+        const delayMs = this.getRateLimitDelay(response);
+
+        if (delayMs === null) {
+          throw new Error(`GitHub API access forbidden: ${this.getErrorMessage(response.body)}`);
+        }
+
+        // Limite secondario breve: attendi e riprova
+        if (delayMs <= MAX_RETRY_DELAY_MS && attempt < MAX_RETRIES) {
+          console.warn(`[GitHub] Rate limited on ${path}, retrying in ${Math.ceil(delayMs / 1000)}s`);
+          await new Promise((resolve) => setTimeout(resolve, delayMs));
+          continue;
+        }
+
+        const until = Date.now() + delayMs;
+        this.backoffUntil.set(server.apiUrl, until);
+        console.warn(`[GitHub] Rate limit exceeded on ${server.webHost}, backing off until ${new Date(until).toLocaleTimeString()}`);
+
+        if (cached) return cached.data;
+        throw this.createRateLimitError(until);
+      }
+
+      // Errori temporanei del server: backoff esponenziale (1s, 2s)
+      if (response.statusCode >= 500 && attempt < MAX_RETRIES) {
+        await new Promise((resolve) => setTimeout(resolve, 1000 * 2 ** attempt));
+        continue;
+      }
+
+      throw new Error(`GitHub API error: ${response.statusCode} - ${this.getErrorMessage(response.body)}`);
+    }
+  }
+
+  /**
+   * Esegue una query sull'API GraphQL (richiede un token)
+   * Gli errori parziali (es: repository inesistenti) sono registrati nel log e i dati restanti restituiti
+   * @param {string} query - Query GraphQL
+   * @param {Object} variables - Variabili della query
+   * @param {Object} server - Server GitHub (default: github.com)
+   * @returns {Promise<Object>} Campo `data` della risposta
+   */
+  async graphqlRequest(query, variables, server = PUBLIC_SERVER) {
+    if (!this.getTokenFor(server)) {
+      throw new Error('GitHub GraphQL API requires a token');
+    }
+
+    const response = await this.sendRequest(new URL(`${server.apiUrl}/graphql`), server, {
+      body: JSON.stringify({ query, variables }),
     });
+    this.updateRateLimit(server, response.headers);
+
+    if (response.statusCode !== 200) {
+      throw new Error(`GitHub GraphQL error: ${response.statusCode} - ${this.getErrorMessage(response.body)}`);
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(response.body);
+    } catch (error) {
+      throw new Error(`Failed to parse GitHub GraphQL response: ${error.message}`);
+    }
+
+    const errors = (payload.errors || []).map((error) => error.message).join('; ');
+    if (!payload.data) {
+      throw new Error(`GitHub GraphQL error: ${errors || 'empty response'}`);
+    }
+    if (errors) {
+      console.warn(`[GitHub] GraphQL query returned errors: ${errors}`);
+    }
+
+    return payload.data;
+  }
+
+  /**
+   * Attesa richiesta da una risposta 403/429 di rate limit
+   * @param {Object} response - {statusCode, headers, body}
+   * @returns {number|null} Millisecondi da attendere, null se il 403 non è un rate limit
+   */
+  getRateLimitDelay(response) {
+    const { headers } = response;
+
+    // Limite secondario: il server indica quanto attendere
+    if (headers['retry-after']) {
+      return Math.max(1, Number(headers['retry-after'])) * 1000;
+    }
+
+    // Limite primario: quota esaurita fino al reset
+    if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+      return Math.max(1000, Number(headers['x-ratelimit-reset']) * 1000 - Date.now());
+    }
+
+    // Limite secondario senza Retry-After: GitHub raccomanda almeno un minuto
+    if (response.statusCode === 429 || /rate limit/i.test(response.body)) {
+      return 60000;
+    }
+
+    return null;
+  }
+
+  /**
+   * Messaggio di errore dal body JSON dell'API
+   * @param {string} body - Body della risposta
+   * @returns {string}
+   */
+  getErrorMessage(body) {
+    try {
+      return JSON.parse(body).message || body;
+    } catch {
+      return body;
+    }
+  }
+
+  /**
+   * Errore per quota esaurita
+   * @param {number} until - Timestamp (ms) di fine backoff
+   * @returns {Error}
+   */
+  createRateLimitError(until) {
+    return new Error(`GitHub API rate limit exceeded. Resets at ${new Date(until).toLocaleTimeString()}.`);
+  }
+
+  /**
+   * Aggiorna la quota di un server dagli header X-RateLimit-*
+   * @param {Object} server - Server GitHub
+   * @param {Object} headers - Header della risposta
+   */
+  updateRateLimit(server, headers) {
+    if (headers['x-ratelimit-limit'] === undefined) return;
+
+    const resource = headers['x-ratelimit-resource'] || 'core';
+    const rateLimit = {
+      limit: Number(headers['x-ratelimit-limit']),
+      remaining: Number(headers['x-ratelimit-remaining']),
+      used: Number(headers['x-ratelimit-used'] || 0),
+      reset: Number(headers['x-ratelimit-reset']) * 1000,
+    };
+
+    const limits = this.rateLimits.get(server.apiUrl) || {};
+    limits[resource] = rateLimit;
+    this.rateLimits.set(server.apiUrl, limits);
+
+    // Quota esaurita: nessuna richiesta fino al reset (le risposte in cache restano disponibili)
+    if (resource === 'core' && rateLimit.remaining === 0) {
+      this.backoffUntil.set(server.apiUrl, rateLimit.reset);
+    }
+  }
+
+  /**
+   * Quota API dei server GitHub configurati (github.com ed eventuale Enterprise)
+   * Senza dati dalle richieste precedenti, o se il reset è già passato, interroga /rate_limit,
+   * che non consuma quota
+   * @returns {Promise<Array<Object>>} [{host, limit, remaining, used, reset, authenticated}]
+   */
+  async getRateLimitStatus() {
+    const servers = [PUBLIC_SERVER, this.getEnterpriseServer()].filter(Boolean);
+    const status = [];
+
+    for (const server of servers) {
+      let core = this.rateLimits.get(server.apiUrl)?.core;
+
+      // Dopo il reset la quota in cache non è più valida (es: remaining 0)
+      if (core && core.reset <= Date.now()) {
+        core = null;
+      }
+
+      if (!core && Date.now() >= (this.rateLimitRetryAt.get(server.apiUrl) || 0)) {
+        try {
+          const data = await this.makeRequest('/rate_limit', server);
+          core = this.rateLimits.get(server.apiUrl)?.core;
+
+          if (!core && data.resources?.core) {
+            this.updateRateLimit(server, {
+              'x-ratelimit-limit': String(data.resources.core.limit),
+              'x-ratelimit-remaining': String(data.resources.core.remaining),
+              'x-ratelimit-used': String(data.resources.core.used),
+              'x-ratelimit-reset': String(data.resources.core.reset),
+            });
+            core = this.rateLimits.get(server.apiUrl).core;
+          }
+        } catch (error) {
+          // GitHub Enterprise può avere il rate limiting disabilitato (404): non viene più interrogato
+          const retryAt = error.statusCode === 404 ? Infinity : Date.now() + RATE_LIMIT_RETRY_MS;
+          this.rateLimitRetryAt.set(server.apiUrl, retryAt);
+          console.warn(`[GitHub] Rate limit not available for ${server.webHost}: ${error.message}`);
+        }
+      }
+
+      if (core && core.reset > Date.now()) {
+        status.push({
+          host: server.webHost,
+          limit: core.limit,
+          remaining: core.remaining,
+          used: core.used,
+          reset: new Date(core.reset).toISOString(),
+          authenticated: Boolean(this.getTokenFor(server)),
+        });
+      }
+    }
+
+    return status;
   }
 
   /**
@@ -100,12 +619,15 @@ class GitHubService {
    * @param {string} owner - Owner del repo
    * @param {string} repo - Nome del repo
    * @param {number} perPage - Numero di release da ottenere (default: 10)
+   * @param {Object} server - Server GitHub (default: github.com)
+   * @param {number} page - Pagina dei risultati, dalla più recente (default: 1)
    * @returns {Promise<Array>} Array di release
    */
-  async getReleases(owner, repo, perPage = 10) {
+  async getReleases(owner, repo, perPage = 10, server = PUBLIC_SERVER, page = 1) {
     try {
       const releases = await this.makeRequest(
-        `/repos/${owner}/${repo}/releases?per_page=${perPage}`
+        `/repos/${owner}/${repo}/releases?per_page=${perPage}&page=${page}`,
+        server
       );
       return releases;
     } catch (error) {
@@ -118,12 +640,14 @@ class GitHubService {
    * Ottiene l'ultima release di un repository
    * @param {string} owner - Owner del repo
    * @param {string} repo - Nome del repo
+   * @param {Object} server - Server GitHub (default: github.com)
    * @returns {Promise<Object>} Oggetto release
    */
-  async getLatestRelease(owner, repo) {
+  async getLatestRelease(owner, repo, server = PUBLIC_SERVER) {
     try {
       const release = await this.makeRequest(
-        `/repos/${owner}/${repo}/releases/latest`
+        `/repos/${owner}/${repo}/releases/latest`,
+        server
       );
       return release;
     } catch (error) {
@@ -133,117 +657,81 @@ class GitHubService {
   }
 
   /**
-   * Ottiene una release specifica per tag
-   * @param {string} owner - Owner del repo
-   * @param {string} repo - Nome del repo
-   * @param {string} tag - Tag della release
-   * @returns {Promise<Object>} Oggetto release
-   */
-  async getReleaseByTag(owner, repo, tag) {
-    try {
-      const release = await this.makeRequest(
-        `/repos/${owner}/${repo}/releases/tags/${tag}`
-      );
-      return release;
-    } catch (error) {
-      console.error(`Failed to fetch release ${tag} for ${owner}/${repo}:`, error);
-      throw error;
-    }
-  }
-
-  /**
-   * Filtra asset per piattaforma Windows
-   * @param {Array} assets - Array di asset dalla release
-   * @returns {Array} Asset Windows (.exe, .msi, .zip)
+   * Ottiene l'ultima release di più repository github.com con poche query GraphQL
+   * (una ogni GRAPHQL_BATCH_SIZE repository) invece di una richiesta REST per repository
+   * @param {Array<Object>} repos - Repository [{owner, repo}]
+   * @returns {Promise<Array<Object|null>>} Release nel formato REST, nello stesso ordine di `repos`
+   * (null se il repository non esiste o non ha release)
    */
-  filterWindowsAssets(assets) {
-    if (!Array.isArray(assets)) return [];
-
-    return assets.filter((asset) => {
-      const name = asset.name.toLowerCase();
-      // Filtra per estensioni Windows comuni
-      return (
-        name.endsWith('.exe') ||
-        name.endsWith('.msi') ||
-        (name.endsWith('.zip') && name.includes('win'))
-      );
-    });
-  }
+  async getLatestReleases(repos) {
+    const results = [];
 
-  /**
-   * Ottiene il miglior asset per Windows da una release
-   * Priorità: .exe > .msi > .zip
-   * @param {Array} assets - Array di asset
-   * @returns {Object|null} Asset migliore o null
-   */
-  getBestWindowsAsset(assets) {
-    const windowsAssets = this.filterWindowsAssets(assets);
+    for (let start = 0; start < repos.length; start += GRAPHQL_BATCH_SIZE) {
+      const batch = repos.slice(start, start + GRAPHQL_BATCH_SIZE);
+      const variables = {};
+      const params = [];
+      const fields = [];
 
-    if (windowsAssets.length === 0) return null;
+      batch.forEach(({ owner, repo }, index) => {
+        variables[`owner${index}`] = owner;
+        variables[`name${index}`] = repo;
+        params.push(`$owner${index}: String!, $name${index}: String!`);
+        fields.push(`  r${index}: repository(owner: $owner${index}, name: $name${index}) { latestRelease { ...ReleaseFields } }`);
+      });
 
-    // Priorità: installer .exe, poi .msi, poi .zip
-    const exeAsset = windowsAssets.find((a) => a.name.toLowerCase().endsWith('.exe'));
-    if (exeAsset) return exeAsset;
+      const query = `query(${params.join(', ')}) {\n${fields.join('\n')}\n}\n${RELEASE_FIELDS_FRAGMENT}`;
+      const data = await this.graphqlRequest(query, variables);
 
-    const msiAsset = windowsAssets.find((a) => a.name.toLowerCase().endsWith('.msi'));
-    if (msiAsset) return msiAsset;
+      batch.forEach((_, index) => {
+        const release = data[`r${index}`]?.latestRelease;
+        results.push(release ? this.toRestRelease(release) : null);
+      });
+    }
 
-    return windowsAssets[0]; // Fallback al primo disponibile
+    return results;
   }
 
   /**
-   * Ottiene info complete per un'app da GitHub
-   * @param {string} githubUrl - URL GitHub releases
-   * @returns {Promise<Object>} {version, downloadUrl, assets, releaseInfo}
+   * Converte una release GraphQL nel formato dell'API REST
+   * @param {Object} release - Release con i campi di RELEASE_FIELDS_FRAGMENT
+   * @returns {Object} Release {tag_name, name, body, published_at, prerelease, draft, html_url, assets}
    */
-  async getAppReleaseInfo(githubUrl) {
-    try {
-      const parsed = this.parseGitHubUrl(githubUrl);
-      if (!parsed) {
-        throw new Error('Invalid GitHub URL');
-      }
-
-      const { owner, repo } = parsed;
-      const release = await this.getLatestRelease(owner, repo);
-
-      const windowsAsset = this.getBestWindowsAsset(release.assets);
-
-      return {
-        version: release.tag_name.replace(/^v/, ''), // Rimuovi 'v' prefix se presente
-        downloadUrl: windowsAsset ? windowsAsset.browser_download_url : null,
-        assets: this.filterWindowsAssets(release.assets),
-        releaseInfo: {
-          name: release.name,
-          body: release.body, // Note di rilascio
-          publishedAt: release.published_at,
-          htmlUrl: release.html_url,
-        },
-      };
-    } catch (error) {
-      console.error('Failed to get app release info:', error);
-      throw error;
-    }
+  toRestRelease(release) {
+    return {
+      tag_name: release.tagName,
+      name: release.name,
+      body: release.description,
+      published_at: release.publishedAt,
+      prerelease: release.isPrerelease,
+      draft: release.isDraft,
+      html_url: release.url,
+      assets: (release.releaseAssets?.nodes || []).map((asset) => ({
+        name: asset.name,
+        browser_download_url: asset.downloadUrl,
+        size: asset.size,
+      })),
+    };
   }
 
   /**
-   * Compara versioni semantic (es: 1.2.3)
-   * @param {string} version1 - Prima versione
-   * @param {string} version2 - Seconda versione
-   * @returns {number} -1 se v1 < v2, 0 se uguali, 1 se v1 > v2
+   * Ottiene una release specifica per tag
+   * @param {string} owner - Owner del repo
+   * @param {string} repo - Nome del repo
+   * @param {string} tag - Tag della release
+   * @param {Object} server - Server GitHub (default: github.com)
+   * @returns {Promise<Object>} Oggetto release
    */
-  compareVersions(version1, version2) {
-    const v1Parts = version1.replace(/^v/, '').split('.').map(Number);
-    const v2Parts = version2.replace(/^v/, '').split('.').map(Number);
-
-    for (let i = 0; i < Math.max(v1Parts.length, v2Parts.length); i++) {
-      const v1Part = v1Parts[i] || 0;
-      const v2Part = v2Parts[i] || 0;
-
-      if (v1Part > v2Part) return 1;
-      if (v1Part < v2Part) return -1;
+  async getReleaseByTag(owner, repo, tag, server = PUBLIC_SERVER) {
+    try {
+      const release = await this.makeRequest(
+        `/repos/${owner}/${repo}/releases/tags/${encodeURIComponent(tag)}`,
+        server
+      );
+      return release;
+    } catch (error) {
+      console.error(`Failed to fetch release ${tag} for ${owner}/${repo}:`, error);
+      throw error;
     }
-
-    return 0;
   }
 }
 
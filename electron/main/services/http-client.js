@@ -0,0 +1,95 @@
+import http from 'http';
+import https from 'https';
+import proxyService from './proxy-service.js';
+import certificateService from './certificate-service.js';
+
+/**
+ * HTTP Client - Richieste HTTP(S) generiche del main process
+ */
+class HttpClient {
+  constructor() {
+    // Timeout default: 10 secondi
+    this.defaultTimeout = 10000;
+    this.maxRedirects = 5;
+  }
+
+  /**
+   * Sceglie il modulo in base al protocollo dell'URL
+   * @param {string} url - URL da richiedere
+   * @returns {Object} Modulo http o https
+   */
+  getModule(url) {
+    return new URL(url).protocol === 'http:' ? http : https;
+  }
+
+  /**
+   * Esegue una GET e ritorna il body come stringa (segue i redirect)
+   * @param {string} url - URL da scaricare
+   * @param {Object} options - Opzioni {headers, timeout}
+   * @param {number} redirectCount - Redirect già seguiti (uso interno)
+   * @returns {Promise<string>} Body della risposta
+   */
+  async getText(url, options = {}, redirectCount = 0) {
+    const timeout = options.timeout || this.defaultTimeout;
+    const agent = await proxyService.getAgent(url);
+    const tlsOptions = await certificateService.getTlsOptions();
+
+    return new Promise((resolve, reject) => {
+      const request = this.getModule(url).get(url, {
+        ...tlsOptions,
+        agent,
+        headers: {
+          'User-Agent': 'Apps-Launcher',
+          ...options.headers,
+        },
+      }, (response) => {
+        const { statusCode } = response;
+
+        // Gestisci redirect
+        if ([301, 302, 303, 307, 308].includes(statusCode) && response.headers.location) {
+          response.resume();
+
+          if (redirectCount >= this.maxRedirects) {
+            reject(new Error(`Too many redirects for ${url}`));
+            return;
+          }
+
+          const redirectUrl = new URL(response.headers.location, url).toString();
+          // Le credenziali (es: PRIVATE-TOKEN di GitLab) restano sull'host originale
+          const redirectOptions = new URL(redirectUrl).host === new URL(url).host
+            ? options
+            : { ...options, headers: {} };
+          this.getText(redirectUrl, redirectOptions, redirectCount + 1)
+            .then(resolve)
+            .catch(reject);
+          return;
+        }
+
+        if (statusCode !== 200) {
+          response.resume();
+          reject(new Error(`HTTP ${statusCode} for ${url}`));
+          return;
+        }
+
+        let data = '';
+        response.setEncoding('utf-8');
+        response.on('data', (chunk) => {
+          data += chunk;
+        });
+        response.on('end', () => resolve(data));
+        response.on('error', (error) => reject(new Error(`Response error: ${error.message}`)));
+      });
+
+      request.on('error', (error) => {
+        reject(new Error(`Request failed: ${error.message}`));
+      });
+
+      request.setTimeout(timeout, () => {
+        request.destroy();
+        reject(new Error(`Request timeout for ${url}`));
+      });
+    });
+  }
+}
+
+export default new HttpClient();
@@ -5,10 +5,33 @@ import { promisify } from 'util';
 import { app, dialog, BrowserWindow } from 'electron';
 import AdmZip from 'adm-zip';
 import appStore from '../store/app-store.js';
+import githubService from './github-service.js';
 
 const fsExists = promisify(fs.exists);
 const fsMkdir = promisify(fs.mkdir);
 
+/**
+ * Parametri silenziosi per i framework di installer più comuni
+ * Selezionati con il campo `installerType` del catalogo
+ */
+const INSTALLER_PRESETS = {
+  nsis: { install: ['/S'], uninstall: ['/S'] },
+  inno: {
+    install: ['/VERYSILENT', '/SUPPRESSMSGBOXES', '/NORESTART', '/SP-'],
+    uninstall: ['/VERYSILENT', '/SUPPRESSMSGBOXES', '/NORESTART'],
+  },
+  squirrel: { install: ['--silent'], uninstall: ['--uninstall', '-s'] },
+};
+
+/**
+ * Chiavi Uninstall del Windows Registry in cui cercare le app installate
+ */
+const REGISTRY_UNINSTALL_PATHS = [
+  'HKCU:\\SOFTWARE\\Microsoft\\Windows\\CurrentVersion\\Uninstall',
+  'HKLM:\\SOFTWARE\\Microsoft\\Windows\\CurrentVersion\\Uninstall',
+  'HKLM:\\SOFTWARE\\WOW6432Node\\Microsoft\\Windows\\CurrentVersion\\Uninstall', // 32-bit on 64-bit
+];
+
 /**
  * Installation Manager - Gestisce installazione/disinstallazione app
  */
@@ -20,9 +43,14 @@ class InstallManager {
   /**
    * Rileva tipo installer dal filename
    * @param {string} filePath - Path al file
+   * @param {string} forcedType - Tipo forzato dal catalogo (nsis, inno, squirrel, msi, zip)
    * @returns {string} Tipo: 'exe' | 'msi' | 'zip' | 'unknown'
    */
-  detectInstallerType(filePath) {
+  detectInstallerType(filePath, forcedType = null) {
+    if (forcedType) {
+      return forcedType === 'msi' || forcedType === 'zip' ? forcedType : 'exe';
+    }
+
     const ext = path.extname(filePath).toLowerCase();
 
     switch (ext) {
@@ -41,9 +69,18 @@ class InstallManager {
    * Genera parametri per installazione silenziosa
    * @param {string} installerType - Tipo installer
    * @param {string} installPath - Path di installazione desiderato (opzionale)
+   * @param {Object} options - Override dal catalogo {installerType, installArgs}
    * @returns {Array<string>} Array di parametri
    */
-  getSilentInstallParams(installerType, installPath) {
+  getSilentInstallParams(installerType, installPath, options = {}) {
+    // Override espliciti dal catalogo
+    if (options.installArgs) {
+      return [...options.installArgs];
+    }
+    if (INSTALLER_PRESETS[options.installerType]) {
+      return [...INSTALLER_PRESETS[options.installerType].install];
+    }
+
     switch (installerType) {
       case 'exe':
         // NSIS installer (più comune)
@@ -69,11 +106,36 @@ class InstallManager {
     }
   }
 
+  /**
+   * Parametri per la disinstallazione silenziosa
+   * @param {Object} options - Override dal catalogo {installerType, uninstallArgs}
+   * @returns {Array<string>} Array di parametri
+   */
+  getSilentUninstallParams(options = {}) {
+    if (options.uninstallArgs) {
+      return [...options.uninstallArgs];
+    }
+    if (INSTALLER_PRESETS[options.installerType]) {
+      return [...INSTALLER_PRESETS[options.installerType].uninstall];
+    }
+    return ['/SILENT'];
+  }
+
+  /**
+   * Verifica se un exit code indica successo
+   * @param {number} code - Exit code del processo
+   * @param {Object} options - Override dal catalogo {successExitCodes}
+   * @returns {boolean}
+   */
+  isSuccessExitCode(code, options = {}) {
+    return (options.successExitCodes || [0]).includes(code);
+  }
+
   /**
    * Installa applicazione
    * @param {string} appId - ID dell'app
    * @param {string} installerPath - Path al file installer
-   * @param {Object} options - Opzioni installazione
+   * @param {Object} options - Opzioni installazione (version, appName, githubUrl e override installer dal catalogo)
    * @param {Function} statusCallback - Callback per status updates
    * @returns {Promise<Object>} Info installazione {installPath, executablePath}
    */
@@ -82,7 +144,7 @@ class InstallManager {
       throw new Error('Installation already in progress for this app');
     }
 
-    const installerType = this.detectInstallerType(installerPath);
+    const installerType = this.detectInstallerType(installerPath, options.installerType);
 
     if (installerType === 'unknown') {
       throw new Error('Unknown installer type');
@@ -183,7 +245,7 @@ class InstallManager {
       console.log(`[InstallManager] Allowing installer to choose installation directory (base hint: ${baseInstallDir})`);
 
       // Parametri silenziosi SENZA path forzato (rimozione /D=)
-      const params = this.getSilentInstallParams(installerType, null); // Pass null = no forced path
+      const params = this.getSilentInstallParams(installerType, null, options); // Pass null = no forced path
 
       if (statusCallback) {
         statusCallback({
@@ -199,7 +261,10 @@ class InstallManager {
 
       if (installerType === 'msi') {
         command = 'msiexec';
-        args = params.concat([installerPath]);
+        // Con argomenti personalizzati /i e il pacchetto vanno prima degli argomenti
+        args = options.installArgs
+          ? ['/i', installerPath, ...params]
+          : params.concat([installerPath]);
       } else {
         command = installerPath;
         args = params;
@@ -214,7 +279,7 @@ class InstallManager {
       installer.on('close', async (code) => {
         console.log(`[InstallManager] Installer process closed for ${appId} with code ${code}`);
 
-        if (code === 0) {
+        if (this.isSuccessExitCode(code, options)) {
           // Attendi 2 secondi per assicurarsi che l'installer sia completamente terminato
           console.log(`[InstallManager] Waiting 2 seconds for ${appId} installer to fully complete...`);
           await new Promise((res) => setTimeout(res, 2000));
@@ -231,7 +296,8 @@ class InstallManager {
               options.appName,
               10, // max attempts
               3000, // 3 seconds between attempts (30s total)
-              options.githubUrl // GitHub URL per estrarre nome repo
+              options.githubUrl, // GitHub URL per estrarre nome repo
+              options.executable // Hint esplicito dal catalogo
             );
 
             // Estrai la directory reale dell'app dall'eseguibile trovato
@@ -349,7 +415,8 @@ class InstallManager {
         options.appName,
         5, // max attempts
         500, // 0.5 second between attempts
-        options.githubUrl // GitHub URL per estrarre nome repo
+        options.githubUrl, // GitHub URL per estrarre nome repo
+        options.executable // Hint esplicito dal catalogo
       );
 
       console.log(`[InstallManager] Executable found: ${executablePath}`);
@@ -365,7 +432,7 @@ class InstallManager {
   }
 
   /**
-   * Estrae il nome del repository da un URL GitHub
+   * Estrae il nome del repository da un URL GitHub (github.com o server Enterprise configurato)
    * @param {string} githubUrl - URL GitHub (es. https://github.com/user/repo/releases)
    * @returns {string|null} Nome repo (es. "repo") o null se non valido
    */
@@ -373,10 +440,10 @@ class InstallManager {
     if (!githubUrl) return null;
 
     try {
-      // Pattern: https://github.com/{user}/{repo}/releases o /releases/latest
-      const match = githubUrl.match(/github\.com\/([^/]+)\/([^/]+)/);
-      if (match && match[2]) {
-        const repoName = match[2].replace(/\.(git)?$/, ''); // Rimuovi .git se presente
+      // Pattern: https://{host}/{user}/{repo}/releases o /releases/latest
+      const parsed = githubService.parseGitHubUrl(githubUrl);
+      if (parsed && parsed.repo) {
+        const repoName = parsed.repo;
         console.log(`[InstallManager] Extracted repo name "${repoName}" from URL: ${githubUrl}`);
         return repoName;
       }
@@ -397,6 +464,75 @@ class InstallManager {
     return name.replace(/[<>:"/\\|?*]/g, '').trim();
   }
 
+  /**
+   * Legge le voci di disinstallazione da una chiave del Windows Registry
+   * @param {string} regPath - Chiave Uninstall da leggere (formato PowerShell)
+   * @returns {Promise<Array<Object>>} Voci {Name, DisplayName, InstallLocation, DisplayIcon}
+   */
+  async readRegistryUninstallEntries(regPath) {
+    // PowerShell command per leggere tutte le subkeys
+    const psCommand = `Get-ChildItem -Path "${regPath}" -ErrorAction SilentlyContinue | ForEach-Object {
+      $props = Get-ItemProperty -Path $_.PSPath -ErrorAction SilentlyContinue
+      if ($props.DisplayName -or $props.InstallLocation) {
+        [PSCustomObject]@{
+          Name = $_.PSChildName
+          DisplayName = $props.DisplayName
+          InstallLocation = $props.InstallLocation
+          DisplayIcon = $props.DisplayIcon
+        }
+      }
+    } | ConvertTo-Json`;
+
+    const { stdout } = await new Promise((resolve, reject) => {
+      const proc = spawn('powershell', ['-NoProfile', '-Command', psCommand], {
+        windowsHide: true,
+      });
+
+      let output = '';
+      proc.stdout.on('data', (data) => (output += data.toString()));
+      proc.on('close', (code) => {
+        if (code === 0) resolve({ stdout: output });
+        else reject(new Error(`PowerShell exited with code ${code}`));
+      });
+      proc.on('error', reject);
+    });
+
+    if (!stdout.trim()) return [];
+
+    // Parse JSON output
+    const apps = JSON.parse(stdout);
+    return Array.isArray(apps) ? apps : [apps];
+  }
+
+  /**
+   * Cerca nel Windows Registry la voce con un DisplayName esatto
+   * @param {string} displayName - DisplayName atteso (confronto case-insensitive)
+   * @returns {Promise<Object|null>} {installLocation, displayIcon} o null se non trovata
+   */
+  async findRegistryEntryByDisplayName(displayName) {
+    const expected = displayName.toLowerCase();
+
+    for (const regPath of REGISTRY_UNINSTALL_PATHS) {
+      try {
+        const appList = await this.readRegistryUninstallEntries(regPath);
+        const entry = appList.find((e) => e.DisplayName && e.DisplayName.toLowerCase() === expected);
+
+        if (entry) {
+          console.log(`[InstallManager] Found registry entry "${entry.DisplayName}" in ${regPath}`);
+          const displayIcon = entry.DisplayIcon ? entry.DisplayIcon.split(',')[0].replace(/"/g, '') : null;
+          return {
+            installLocation: entry.InstallLocation || (displayIcon ? path.dirname(displayIcon) : null),
+            displayIcon,
+          };
+        }
+      } catch (error) {
+        console.warn(`[InstallManager] Failed to search ${regPath}:`, error.message);
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Cerca app installata nel Windows Registry
    * @param {Array<string>} searchNames - Array di nomi da cercare (app name, repo name, etc.)
@@ -405,47 +541,9 @@ class InstallManager {
   async findAppInRegistry(searchNames) {
     console.log(`[InstallManager] Searching in Windows Registry for:`, searchNames);
 
-    // Registry paths da controllare
-    const registryPaths = [
-      'HKCU:\\SOFTWARE\\Microsoft\\Windows\\CurrentVersion\\Uninstall',
-      'HKLM:\\SOFTWARE\\Microsoft\\Windows\\CurrentVersion\\Uninstall',
-      'HKLM:\\SOFTWARE\\WOW6432Node\\Microsoft\\Windows\\CurrentVersion\\Uninstall', // 32-bit on 64-bit
-    ];
-
-    for (const regPath of registryPaths) {
+    for (const regPath of REGISTRY_UNINSTALL_PATHS) {
       try {
-        // PowerShell command per leggere tutte le subkeys
-        const psCommand = `Get-ChildItem -Path "${regPath}" -ErrorAction SilentlyContinue | ForEach-Object {
-          $props = Get-ItemProperty -Path $_.PSPath -ErrorAction SilentlyContinue
-          if ($props.DisplayName -or $props.InstallLocation) {
-            [PSCustomObject]@{
-              Name = $_.PSChildName
-              DisplayName = $props.DisplayName
-              InstallLocation = $props.InstallLocation
-              DisplayIcon = $props.DisplayIcon
-            }
-          }
-        } | ConvertTo-Json`;
-
-        const { stdout } = await new Promise((resolve, reject) => {
-          const proc = spawn('powershell', ['-NoProfile', '-Command', psCommand], {
-            windowsHide: true,
-          });
-
-          let output = '';
-          proc.stdout.on('data', (data) => (output += data.toString()));
-          proc.on('close', (code) => {
-            if (code === 0) resolve({ stdout: output });
-            else reject(new Error(`PowerShell exited with code ${code}`));
-          });
-          proc.on('error', reject);
-        });
-
-        if (!stdout.trim()) continue;
-
-        // Parse JSON output
-        const apps = JSON.parse(stdout);
-        const appList = Array.isArray(apps) ? apps : [apps];
+        const appList = await this.readRegistryUninstallEntries(regPath);
 
         // Cerca match tra i nomi forniti
         for (const app of appList) {
@@ -532,15 +630,146 @@ class InstallManager {
     return results;
   }
 
+  /**
+   * Converte un pattern di path relativo in segmenti regex
+   * @param {string} pattern - Path relativo con wildcard `*` (es: "app-*\Tool.exe")
+   * @returns {Array<RegExp>} Un'espressione per ogni segmento del path
+   */
+  patternToSegments(pattern) {
+    return pattern
+      .split(/[\\/]+/)
+      .filter(Boolean)
+      .map((segment) => {
+        const escaped = segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+        return new RegExp(`^${escaped}$`, 'i');
+      });
+  }
+
+  /**
+   * Risolve un pattern di path relativo a partire da una directory
+   * Con più corrispondenze (es: cartelle app-<versione> di Squirrel) vince la più recente per nome
+   * @param {string} baseDir - Directory di partenza
+   * @param {string} pattern - Path relativo con wildcard `*`
+   * @returns {string|null} Path del file trovato o null
+   */
+  resolveExecutablePattern(baseDir, pattern) {
+    let candidates = [baseDir];
+
+    for (const segment of this.patternToSegments(pattern)) {
+      const next = [];
+
+      for (const dir of candidates) {
+        try {
+          const names = fs.readdirSync(dir)
+            .filter((name) => segment.test(name))
+            .sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
+          next.push(...names.map((name) => path.join(dir, name)));
+        } catch {
+          // Directory non leggibile o inesistente
+        }
+      }
+
+      candidates = next;
+    }
+
+    return candidates.find((candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+  }
+
+  /**
+   * Verifica se un eseguibile corrisponde all'hint del catalogo
+   * @param {string} executablePath - Path dell'eseguibile
+   * @param {Object} hint - Hint {fileName, path, registryName}
+   * @returns {boolean}
+   */
+  matchesExecutableHint(executablePath, hint) {
+    if (!executablePath || !hint) return false;
+
+    if (hint.fileName) {
+      return path.basename(executablePath).toLowerCase() === hint.fileName.toLowerCase();
+    }
+
+    if (hint.path) {
+      // Confronta gli ultimi segmenti del path con quelli del pattern
+      const segments = this.patternToSegments(hint.path);
+      const parts = executablePath.split(/[\\/]+/).slice(-segments.length);
+      return parts.length === segments.length && segments.every((segment, i) => segment.test(parts[i]));
+    }
+
+    return true;
+  }
+
+  /**
+   * Cerca l'eseguibile indicato esplicitamente dal catalogo (nessuna euristica)
+   * @param {Object} hint - Hint {fileName, path, registryName}
+   * @param {Array<string>} baseDirs - Directory in cui cercare
+   * @returns {Promise<string>} Path all'eseguibile
+   * @throws {Error} Se l'eseguibile indicato non viene trovato
+   */
+  async findExecutableByHint(hint, baseDirs) {
+    console.log(`[InstallManager] Searching for executable using catalog hint:`, hint);
+    const dirs = [];
+
+    // La voce di registro indica la cartella esatta di installazione
+    if (hint.registryName) {
+      const entry = await this.findRegistryEntryByDisplayName(hint.registryName);
+
+      if (entry) {
+        // Solo DisplayName: l'eseguibile è quello indicato da DisplayIcon
+        if (!hint.fileName && !hint.path) {
+          if (entry.displayIcon && entry.displayIcon.toLowerCase().endsWith('.exe') && fs.existsSync(entry.displayIcon)) {
+            console.log(`[InstallManager] ✓ Found executable from registry DisplayIcon: ${entry.displayIcon}`);
+            return entry.displayIcon;
+          }
+        } else if (entry.installLocation) {
+          dirs.push(entry.installLocation);
+        }
+      }
+    }
+
+    if (hint.fileName || hint.path) {
+      dirs.push(...baseDirs);
+
+      for (const dir of [...new Set(dirs.filter(Boolean))]) {
+        if (!fs.existsSync(dir)) continue;
+
+        if (hint.path) {
+          const found = this.resolveExecutablePattern(dir, hint.path);
+          if (found) {
+            console.log(`[InstallManager] ✓ Found executable matching "${hint.path}": ${found}`);
+            return found;
+          }
+          continue;
+        }
+
+        const direct = path.join(dir, hint.fileName);
+        if (fs.existsSync(direct)) {
+          console.log(`[InstallManager] ✓ Found executable "${hint.fileName}": ${direct}`);
+          return direct;
+        }
+
+        const found = this.findExecutablesRecursive(dir, 3)
+          .find((exePath) => this.matchesExecutableHint(exePath, hint));
+        if (found) {
+          console.log(`[InstallManager] ✓ Found executable "${hint.fileName}" recursively: ${found}`);
+          return found;
+        }
+      }
+    }
+
+    const target = hint.path || hint.fileName || `registry entry "${hint.registryName}"`;
+    throw new Error(`Executable ${target} not found after installation`);
+  }
+
   /**
    * Cerca eseguibile installato
    * @param {string} appId - ID app
    * @param {string} installDir - Directory installazione
    * @param {string} appName - Nome app
    * @param {string} githubUrl - URL GitHub per estrarre nome repo (opzionale)
+   * @param {Object} executableHint - Hint del catalogo {fileName, path, registryName} (opzionale)
    * @returns {Promise<string>} Path all'eseguibile
    */
-  async findInstalledExecutable(appId, installDir, appName, githubUrl = null) {
+  async findInstalledExecutable(appId, installDir, appName, githubUrl = null, executableHint = null) {
     console.log(`[InstallManager] Searching for executable: appId=${appId}, installDir=${installDir}, appName=${appName}, githubUrl=${githubUrl}`);
 
     // Estrai nome repo da GitHub URL (se disponibile)
@@ -550,6 +779,22 @@ class InstallManager {
     const searchNames = [...new Set([appName, repoName, appId].filter(Boolean))];
     console.log(`[InstallManager] Search names:`, searchNames);
 
+    // Hint esplicito dal catalogo: nessuna euristica sul nome dell'exe
+    if (executableHint) {
+      const baseDirs = [installDir];
+      for (const name of searchNames) {
+        baseDirs.push(
+          path.join(installDir, name),
+          path.join('C:', 'Program Files', name),
+          path.join('C:', 'Program Files (x86)', name),
+          path.join(process.env.LOCALAPPDATA || '', name),
+          path.join(process.env.APPDATA || '', name),
+          path.join(process.env.LOCALAPPDATA || '', 'Programs', name)
+        );
+      }
+      return this.findExecutableByHint(executableHint, baseDirs);
+    }
+
     // FASE 0: Cerca nel Windows Registry (più accurato e veloce)
     console.log(`[InstallManager] PHASE 0: Searching in Windows Registry...`);
     try {
@@ -693,13 +938,14 @@ class InstallManager {
    * @param {number} maxAttempts - Numero massimo di tentativi
    * @param {number} delayMs - Delay tra tentativi in millisecondi
    * @param {string} githubUrl - URL GitHub per estrarre nome repo (opzionale)
+   * @param {Object} executableHint - Hint del catalogo {fileName, path, registryName} (opzionale)
    * @returns {Promise<string>} Path all'eseguibile
    */
-  async findInstalledExecutableWithPolling(appId, installDir, appName, maxAttempts = 10, delayMs = 1000, githubUrl = null) {
+  async findInstalledExecutableWithPolling(appId, installDir, appName, maxAttempts = 10, delayMs = 1000, githubUrl = null, executableHint = null) {
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
       try {
         console.log(`[InstallManager] Attempt ${attempt}/${maxAttempts} to find executable for ${appId}...`);
-        const executablePath = await this.findInstalledExecutable(appId, installDir, appName, githubUrl);
+        const executablePath = await this.findInstalledExecutable(appId, installDir, appName, githubUrl, executableHint);
         console.log(`[InstallManager] Executable found on attempt ${attempt}: ${executablePath}`);
         return executablePath;
       } catch (error) {
@@ -718,9 +964,10 @@ class InstallManager {
    * Disinstalla applicazione
    * @param {string} appId - ID dell'app
    * @param {Function} statusCallback - Callback status
+   * @param {Object} options - Override dal catalogo {installerType, uninstallArgs, successExitCodes}
    * @returns {Promise<void>}
    */
-  async uninstallApp(appId, statusCallback) {
+  async uninstallApp(appId, statusCallback, options = {}) {
     const appInfo = appStore.getInstalledApp(appId);
 
     if (!appInfo) {
@@ -737,10 +984,10 @@ class InstallManager {
       }
 
       // Cerca uninstaller nella directory dell'app
-      const uninstallerPath = this.findUninstaller(appInfo.installPath);
+      const uninstallerPath = this.findUninstaller(appInfo.installPath, options.installerType);
 
       if (uninstallerPath) {
-        await this.runUninstaller(uninstallerPath);
+        await this.runUninstaller(uninstallerPath, options);
       } else {
         console.warn(`No uninstaller found for ${appId}, removing from database only`);
       }
@@ -771,11 +1018,22 @@ class InstallManager {
   /**
    * Cerca uninstaller
    * @param {string} installPath - Path installazione
+   * @param {string} installerType - Tipo installer dal catalogo (opzionale)
    * @returns {string|null} Path uninstaller o null
    */
-  findUninstaller(installPath) {
+  findUninstaller(installPath, installerType = null) {
     if (!fs.existsSync(installPath)) return null;
 
+    // Squirrel: Update.exe sta nella cartella padre di app-<versione>
+    if (installerType === 'squirrel') {
+      for (const dir of [installPath, path.dirname(installPath)]) {
+        const updaterPath = path.join(dir, 'Update.exe');
+        if (fs.existsSync(updaterPath)) {
+          return updaterPath;
+        }
+      }
+    }
+
     const uninstallerNames = ['uninstall.exe', 'unins000.exe', 'uninst.exe'];
 
     for (const name of uninstallerNames) {
@@ -791,18 +1049,19 @@ class InstallManager {
   /**
    * Esegue uninstaller
    * @param {string} uninstallerPath - Path uninstaller
+   * @param {Object} options - Override dal catalogo {installerType, uninstallArgs, successExitCodes}
    * @returns {Promise<void>}
    */
-  async runUninstaller(uninstallerPath) {
+  async runUninstaller(uninstallerPath, options = {}) {
     return new Promise((resolve, reject) => {
-      const uninstaller = spawn(uninstallerPath, ['/SILENT'], {
+      const uninstaller = spawn(uninstallerPath, this.getSilentUninstallParams(options), {
         stdio: 'ignore',
         shell: true,
         windowsHide: true,
       });
 
       uninstaller.on('close', (code) => {
-        if (code === 0) {
+        if (this.isSuccessExitCode(code, options)) {
           resolve();
         } else {
           reject(new Error(`Uninstaller failed with code: ${code}`));
@@ -2,6 +2,7 @@ import { spawn } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import appStore from '../store/app-store.js';
+import installManager from './install-manager.js';
 
 /**
  * Launcher Service - Gestisce l'avvio delle applicazioni installate
@@ -14,15 +15,21 @@ class LauncherService {
   /**
    * Lancia un'applicazione installata
    * @param {string} appId - ID dell'app da lanciare
+   * @param {Object} executableHint - Hint del catalogo {fileName, path, registryName} (opzionale)
    * @returns {Promise<void>}
    */
-  async launchApp(appId) {
-    const appInfo = appStore.getInstalledApp(appId);
+  async launchApp(appId, executableHint = null) {
+    let appInfo = appStore.getInstalledApp(appId);
 
     if (!appInfo) {
       throw new Error('Application not installed');
     }
 
+    // Con un hint esplicito lancia esattamente l'eseguibile indicato dal catalogo
+    if (executableHint && !installManager.matchesExecutableHint(appInfo.executablePath, executableHint)) {
+      appInfo = await this.resolveHintedExecutable(appId, appInfo, executableHint);
+    }
+
     if (!appInfo.executablePath) {
       throw new Error('Executable path not found. Please reinstall the application.');
     }
@@ -111,6 +118,32 @@ class LauncherService {
     }
   }
 
+  /**
+   * Corregge l'eseguibile registrato quando non corrisponde all'hint del catalogo
+   * (es: installazioni registrate prima dell'hint o rilevate con le euristiche)
+   * @param {string} appId - ID dell'app
+   * @param {Object} appInfo - Dati installazione correnti
+   * @param {Object} executableHint - Hint del catalogo
+   * @returns {Promise<Object>} Dati installazione (aggiornati se l'eseguibile è stato trovato)
+   */
+  async resolveHintedExecutable(appId, appInfo, executableHint) {
+    console.warn(`[Launch] Registered executable for ${appId} does not match catalog hint: ${appInfo.executablePath || 'none'}`);
+
+    try {
+      const baseDirs = [appInfo.installPath, appInfo.installPath && path.dirname(appInfo.installPath)];
+      const executablePath = await installManager.findExecutableByHint(executableHint, baseDirs.filter(Boolean));
+
+      console.log(`[Launch] Using executable from catalog hint: ${executablePath}`);
+      const updated = { ...appInfo, executablePath };
+      appStore.setInstalledApp(appId, updated);
+      return updated;
+    } catch (error) {
+      // Eseguibile indicato non trovato: resta quello registrato (es: scelto dall'utente)
+      console.warn(`[Launch] ${error.message}, keeping registered executable`);
+      return appInfo;
+    }
+  }
+
   /**
    * Verifica se un'app è in esecuzione
    * @param {string} appId - ID dell'app
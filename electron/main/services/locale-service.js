@@ -0,0 +1,85 @@
+import { app } from 'electron';
+import appStore from '../store/app-store.js';
+import { catalogEntrySchema } from './catalog-validator.js';
+
+/**
+ * Lingua usata quando né la lingua dell'utente né la sua lingua base sono disponibili
+ */
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Locale Service - Risolve i testi localizzati del catalogo nella lingua dell'utente
+ */
+class LocaleService {
+  /**
+   * Lingua scelta dall'utente (impostazione `locale`) o lingua del sistema
+   * @returns {string} Codice lingua (es: "it-IT", "en")
+   */
+  getLocale() {
+    return appStore.getSetting('locale') || app.getLocale() || DEFAULT_LOCALE;
+  }
+
+  /**
+   * Catena di fallback per una lingua
+   * @param {string} locale - Codice lingua (es: "it-IT")
+   * @returns {Array<string>} Lingue in ordine di preferenza (es: ["it-it", "it", "en"])
+   */
+  getFallbackChain(locale) {
+    const normalized = locale.toLowerCase().replace('_', '-');
+    const chain = [normalized];
+
+    const language = normalized.split('-')[0];
+    if (language !== normalized) chain.push(language);
+    if (!chain.includes(DEFAULT_LOCALE)) chain.push(DEFAULT_LOCALE);
+
+    return chain;
+  }
+
+  /**
+   * Risolve un testo localizzato
+   * @param {string|Object} value - Stringa o mappa lingua -> testo (es: {"it": "...", "en": "..."})
+   * @param {Array<string>} chain - Catena di fallback (vedi getFallbackChain)
+   * @returns {string} Testo nella lingua migliore disponibile
+   */
+  resolveText(value, chain) {
+    if (value === null || typeof value !== 'object') return value;
+
+    const entries = Object.entries(value).map(([key, text]) => [key.toLowerCase(), text]);
+
+    // 1. Corrispondenza esatta lungo la catena (it-it, it, en)
+    for (const locale of chain) {
+      const match = entries.find(([key]) => key === locale);
+      if (match) return match[1];
+    }
+
+    // 2. Stessa lingua base con regione diversa (es: "it" -> "it-ch")
+    for (const locale of chain) {
+      const match = entries.find(([key]) => key.split('-')[0] === locale.split('-')[0]);
+      if (match) return match[1];
+    }
+
+    // 3. Prima traduzione disponibile
+    return entries.length > 0 ? entries[0][1] : '';
+  }
+
+  /**
+   * Risolve tutti i campi localizzabili di una definizione app (campi `localized` dello schema)
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @param {string} locale - Lingua da usare (default: lingua dell'utente)
+   * @returns {Object} Definizione app con testi semplici
+   */
+  localizeApp(appDef, locale = this.getLocale()) {
+    const chain = this.getFallbackChain(locale);
+    const localized = { ...appDef };
+
+    for (const [field, rule] of Object.entries(catalogEntrySchema)) {
+      if (rule.localized && appDef[field] !== undefined) {
+        localized[field] = this.resolveText(appDef[field], chain);
+      }
+    }
+
+    return localized;
+  }
+}
+
+export default new LocaleService();
@@ -0,0 +1,90 @@
+/**
+ * Asset Selector - Sceglie l'installer da scaricare tra gli asset di una release
+ * Funziona con qualsiasi provider: degli asset usa solo il campo `name`
+ */
+class AssetSelector {
+  /**
+   * Filtra asset per piattaforma Windows
+   * @param {Array} assets - Array di asset dalla release (serve solo `name`)
+   * @returns {Array} Asset Windows (.exe, .msi, .zip)
+   */
+  filterWindowsAssets(assets) {
+    if (!Array.isArray(assets)) return [];
+
+    return assets.filter((asset) => {
+      const name = asset.name.toLowerCase();
+      // Filtra per estensioni Windows comuni
+      return (
+        name.endsWith('.exe') ||
+        name.endsWith('.msi') ||
+        (name.endsWith('.zip') && name.includes('win'))
+      );
+    });
+  }
+
+  /**
+   * Ottiene il miglior asset per Windows da una release
+   * Priorità: .exe > .msi > .zip
+   * @param {Array} assets - Array di asset
+   * @returns {Object|null} Asset migliore o null
+   */
+  getBestWindowsAsset(assets) {
+    const windowsAssets = this.filterWindowsAssets(assets);
+
+    if (windowsAssets.length === 0) return null;
+
+    // Priorità: installer .exe, poi .msi, poi .zip
+    const exeAsset = windowsAssets.find((a) => a.name.toLowerCase().endsWith('.exe'));
+    if (exeAsset) return exeAsset;
+
+    const msiAsset = windowsAssets.find((a) => a.name.toLowerCase().endsWith('.msi'));
+    if (msiAsset) return msiAsset;
+
+    return windowsAssets[0]; // Fallback al primo disponibile
+  }
+
+  /**
+   * Seleziona l'asset della release con i pattern del catalogo
+   * Senza pattern usa la priorità standard (vedi getBestWindowsAsset)
+   * @param {Array} assets - Array di asset
+   * @param {Object} options - Pattern {assetPattern, assetExcludePattern} (regex, case-insensitive)
+   * @returns {Object} {asset, error} - error descrive perché nessun asset è stato scelto
+   */
+  selectAsset(assets, options = {}) {
+    const { assetPattern, assetExcludePattern } = options;
+
+    if (!assetPattern && !assetExcludePattern) {
+      return { asset: this.getBestWindowsAsset(assets), error: null };
+    }
+
+    const allAssets = Array.isArray(assets) ? assets : [];
+    const include = assetPattern ? new RegExp(assetPattern, 'i') : null;
+    const exclude = assetExcludePattern ? new RegExp(assetExcludePattern, 'i') : null;
+
+    // Con assetPattern si considerano tutti gli asset, non solo quelli riconosciuti come Windows
+    const candidates = (include ? allAssets.filter((a) => include.test(a.name)) : this.filterWindowsAssets(allAssets))
+      .filter((a) => !exclude || !exclude.test(a.name));
+
+    if (candidates.length === 0) {
+      const available = allAssets.map((a) => a.name).join(', ') || 'none';
+      const rules = [
+        assetPattern && `assetPattern "${assetPattern}"`,
+        assetExcludePattern && `assetExcludePattern "${assetExcludePattern}"`,
+      ].filter(Boolean).join(' and ');
+      return { asset: null, error: `No release asset matches ${rules} (available: ${available})` };
+    }
+
+    // Scelta deterministica: priorità standard, poi ordine alfabetico
+    const sorted = [...candidates].sort((a, b) => a.name.localeCompare(b.name));
+    const asset = this.getBestWindowsAsset(sorted) || sorted[0];
+
+    if (candidates.length > 1) {
+      console.warn(`[AssetSelector] ${candidates.length} assets match the catalog patterns, using ${asset.name}:`,
+        candidates.map((a) => a.name));
+    }
+
+    return { asset, error: null };
+  }
+}
+
+export default new AssetSelector();
@@ -0,0 +1,180 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isPrerelease } from '../../../../shared/version.js';
+import { ReleaseProvider } from './release-provider.js';
+
+/**
+ * Nomi di cartella che rappresentano una versione (es: "1.2.0", "v1.2.0", "1.3.0-beta.1")
+ */
+const VERSION_FOLDER_PATTERN = /^v?\d+(\.\d+)+(-[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Versione contenuta nel nome di un file (es: "Tool-Setup-1.2.0.exe" -> "1.2.0", "Tool-1.3.0-beta.1.exe" -> "1.3.0-beta.1")
+ * Solo i suffissi di pre-release noti fanno parte della versione ("Tool-1.2.0-win.zip" -> "1.2.0")
+ */
+const VERSION_IN_FILENAME_PATTERN = /(?:^|[^\d])v?(\d+(?:\.\d+)+(?:-(?:alpha|beta|rc|pre|preview)(?:\.?\d+)?)?)(?=\.[A-Za-z]+$|[^\d.])/i;
+
+/**
+ * File letti come note di rilascio nelle cartelle di versione
+ */
+const NOTES_FILES = ['RELEASE_NOTES.md', 'CHANGELOG.md'];
+
+/**
+ * Folder Provider - Release pubblicate in una cartella locale o di rete (UNC / file://)
+ *
+ * Layout supportati:
+ *   \\server\share\Tool\1.2.0\Tool-Setup.exe    (una sottocartella per versione)
+ *   \\server\share\Tool\Tool-Setup-1.2.0.exe    (versione nel nome del file)
+ */
+class FolderProvider extends ReleaseProvider {
+  constructor() {
+    super('folder');
+  }
+
+  allowsLocalAssets() {
+    return true;
+  }
+
+  /**
+   * @param {string} url - URL della sorgente
+   * @returns {boolean} True per URL file:// e path del filesystem (locali o UNC)
+   */
+  matches(url) {
+    return url.startsWith('file://') || url.startsWith('\\\\') || path.win32.isAbsolute(url) || path.isAbsolute(url);
+  }
+
+  /**
+   * Converte la sorgente in un path del filesystem
+   * @param {string} url - Path o URL file://
+   * @returns {string} Path della cartella
+   */
+  toFolderPath(url) {
+    return url.startsWith('file://') ? fileURLToPath(url) : url;
+  }
+
+  /**
+   * Legge le note di rilascio da una cartella di versione
+   * @param {string} folder - Cartella della versione
+   * @returns {Promise<string>} Contenuto Markdown o stringa vuota
+   */
+  async readNotes(folder) {
+    for (const fileName of NOTES_FILES) {
+      try {
+        return await fs.promises.readFile(path.join(folder, fileName), 'utf-8');
+      } catch {
+        // File non presente, prova il prossimo
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Crea l'asset normalizzato di un file
+   * @param {string} filePath - Path del file
+   * @param {Object} stats - fs.Stats del file
+   * @returns {Object} Asset {name, url, size}
+   */
+  toAsset(filePath, stats) {
+    return { name: path.basename(filePath), url: filePath, size: stats.size };
+  }
+
+  /**
+   * Crea una release normalizzata
+   * @param {string} version - Versione (con o senza "v")
+   * @param {Array<Object>} assets - Asset della release
+   * @param {Date} publishedAt - Data di pubblicazione (mtime)
+   * @param {string} body - Note di rilascio
+   * @returns {Object} Release normalizzata
+   */
+  createRelease(version, assets, publishedAt, body = '') {
+    const normalized = this.tagToVersion(version);
+
+    return {
+      tag: `v${normalized}`,
+      version: normalized,
+      name: `v${normalized}`,
+      body,
+      publishedAt: publishedAt.toISOString(),
+      prerelease: isPrerelease(normalized),
+      htmlUrl: null,
+      assets,
+    };
+  }
+
+  /**
+   * Scansiona la cartella e raccoglie le release di entrambi i layout
+   * @param {string} url - Path o URL file:// della cartella
+   * @returns {Promise<Array<Object>>} Release normalizzate (non ordinate)
+   */
+  async scanFolder(url) {
+    const folder = this.toFolderPath(url);
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(folder, { withFileTypes: true });
+    } catch (error) {
+      throw new Error(`Release folder not accessible: ${folder} (${error.code || error.message})`);
+    }
+
+    const releases = [];
+    const filesByVersion = new Map();
+
+    for (const entry of entries) {
+      const entryPath = path.join(folder, entry.name);
+
+      // Layout 1: sottocartella per versione
+      if (entry.isDirectory() && VERSION_FOLDER_PATTERN.test(entry.name)) {
+        const files = (await fs.promises.readdir(entryPath, { withFileTypes: true }))
+          .filter((f) => f.isFile() && !NOTES_FILES.includes(f.name));
+        const assets = [];
+        for (const file of files) {
+          const filePath = path.join(entryPath, file.name);
+          assets.push(this.toAsset(filePath, await fs.promises.stat(filePath)));
+        }
+
+        const stats = await fs.promises.stat(entryPath);
+        releases.push(this.createRelease(entry.name, assets, stats.mtime, await this.readNotes(entryPath)));
+        continue;
+      }
+
+      // Layout 2: versione nel nome del file
+      if (entry.isFile()) {
+        const match = entry.name.match(VERSION_IN_FILENAME_PATTERN);
+        if (!match) continue;
+
+        const stats = await fs.promises.stat(entryPath);
+        const group = filesByVersion.get(match[1]) || { assets: [], mtime: stats.mtime };
+        group.assets.push(this.toAsset(entryPath, stats));
+        if (stats.mtime > group.mtime) group.mtime = stats.mtime;
+        filesByVersion.set(match[1], group);
+      }
+    }
+
+    for (const [version, group] of filesByVersion) {
+      // Una cartella di versione ha la precedenza sui file sciolti con la stessa versione
+      if (!releases.some((release) => release.version === version)) {
+        releases.push(this.createRelease(version, group.assets, group.mtime));
+      }
+    }
+
+    return releases;
+  }
+
+  async getLatestRelease(url) {
+    const releases = this.sortByVersion(await this.scanFolder(url));
+    const latest = releases.find((release) => !release.prerelease);
+
+    if (!latest) {
+      throw new Error(`No releases found in folder: ${this.toFolderPath(url)}`);
+    }
+    return latest;
+  }
+
+  async getReleases(url, appDef, options = {}) {
+    const releases = await this.scanFolder(url);
+    return this.paginate(this.sortByVersion(releases), options);
+  }
+}
+
+export default new FolderProvider();
@@ -0,0 +1,104 @@
+import githubService from '../github-service.js';
+import { ReleaseProvider } from './release-provider.js';
+
+/**
+ * GitHub Provider - Release da GitHub Releases (https://github.com/owner/repo)
+ * e da GitHub Enterprise Server (host configurato, vedi GitHubService.getEnterpriseServer)
+ */
+class GitHubProvider extends ReleaseProvider {
+  constructor() {
+    super('github');
+  }
+
+  /**
+   * @param {string} url - URL della sorgente
+   * @param {Object} appDef - Definizione app (server Enterprise configurato sulla voce)
+   * @returns {boolean} True per URL github.com o del server Enterprise
+   */
+  matches(url, appDef) {
+    return githubService.parseGitHubUrl(url, appDef) !== null;
+  }
+
+  /**
+   * Estrae owner/repo dall'URL o lancia un errore
+   * @param {string} url - URL GitHub
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @returns {Object} {owner, repo, server}
+   */
+  parseUrl(url, appDef) {
+    const parsed = githubService.parseGitHubUrl(url, appDef);
+    if (!parsed) {
+      throw new Error(`Invalid GitHub URL: ${url}`);
+    }
+    return parsed;
+  }
+
+  /**
+   * Converte una release dell'API GitHub nel formato normalizzato
+   * @param {Object} release - Release GitHub
+   * @param {Object} server - Server da cui proviene la release
+   * @returns {Object} Release normalizzata
+   */
+  normalizeRelease(release, server) {
+    // Su GitHub Enterprise con token gli asset si scaricano dall'API (funziona anche in private mode)
+    const useApiDownload = server.enterprise && Boolean(githubService.getTokenFor(server));
+
+    return {
+      tag: release.tag_name,
+      version: this.tagToVersion(release.tag_name),
+      name: release.name || release.tag_name,
+      body: release.body || '',
+      publishedAt: release.published_at,
+      prerelease: Boolean(release.prerelease),
+      htmlUrl: release.html_url || null,
+      assets: (release.assets || []).map((asset) => ({
+        name: asset.name,
+        url: useApiDownload ? asset.url : asset.browser_download_url,
+        size: asset.size ?? null,
+      })),
+    };
+  }
+
+  async getLatestRelease(url, appDef) {
+    const { owner, repo, server } = this.parseUrl(url, appDef);
+    const release = await githubService.getLatestRelease(owner, repo, server);
+    return this.normalizeRelease(release, server);
+  }
+
+  async getLatestReleases(entries) {
+    // GraphQL richiede il token; le app su GitHub Enterprise restano sulle richieste REST
+    const repos = entries
+      .map(({ url, appDef }) => ({ appId: appDef.id, ...githubService.parseGitHubUrl(url, appDef) }))
+      .filter(({ server }) => server && !server.enterprise && githubService.getTokenFor(server));
+
+    const results = new Map();
+    if (repos.length === 0) return results;
+
+    const releases = await githubService.getLatestReleases(repos);
+    repos.forEach(({ appId, server }, index) => {
+      if (releases[index]) {
+        results.set(appId, this.normalizeRelease(releases[index], server));
+      }
+    });
+    return results;
+  }
+
+  async getReleaseByTag(url, appDef, tag) {
+    const { owner, repo, server } = this.parseUrl(url, appDef);
+    const release = await githubService.getReleaseByTag(owner, repo, tag, server);
+    return release && !release.draft ? this.normalizeRelease(release, server) : null;
+  }
+
+  async getReleases(url, appDef, options = {}) {
+    const { owner, repo, server } = this.parseUrl(url, appDef);
+    const releases = await githubService.getReleases(owner, repo, options.limit || 10, server, options.page || 1);
+    // Le bozze sono visibili solo con token dei maintainer e non sono installabili
+    return releases.filter((release) => !release.draft).map((release) => this.normalizeRelease(release, server));
+  }
+
+  getDownloadHeaders(url, appDef) {
+    return githubService.getAssetDownloadHeaders(url, appDef);
+  }
+}
+
+export default new GitHubProvider();
@@ -0,0 +1,135 @@
+import httpClient from '../http-client.js';
+import { isPrerelease } from '../../../../shared/version.js';
+import { ReleaseProvider } from './release-provider.js';
+
+/**
+ * GitLab Provider - Release da GitLab (gitlab.com o istanze self-hosted)
+ * URL accettati: https://gitlab.example.com/group/subgroup/project[/-/releases]
+ */
+class GitLabProvider extends ReleaseProvider {
+  constructor() {
+    super('gitlab');
+    // Token opzionale per progetti privati
+    this.token = process.env.GITLAB_TOKEN || null;
+  }
+
+  /**
+   * @param {string} url - URL della sorgente
+   * @returns {boolean} True per host che contengono "gitlab"
+   */
+  matches(url) {
+    try {
+      return new URL(url).hostname.includes('gitlab');
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Estrae origin e path del progetto dall'URL
+   * @param {string} url - URL del progetto GitLab
+   * @returns {Object} {origin, projectPath}
+   */
+  parseUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error(`Invalid GitLab URL: ${url}`);
+    }
+
+    const projectPath = parsed.pathname
+      .split('/-/')[0]
+      .replace(/\/releases\/?$/, '')
+      .replace(/\.git$/, '')
+      .replace(/^\/+|\/+$/g, '');
+
+    if (!projectPath.includes('/')) {
+      throw new Error(`Invalid GitLab URL: ${url}`);
+    }
+
+    return { origin: parsed.origin, projectPath };
+  }
+
+  /**
+   * Chiama l'API REST v4 del progetto
+   * @param {string} url - URL del progetto GitLab
+   * @param {string} apiPath - Path relativo al progetto (es: "/releases?per_page=10")
+   * @returns {Promise<Object>} Response JSON
+   */
+  async makeRequest(url, apiPath) {
+    const { origin, projectPath } = this.parseUrl(url);
+    const requestUrl = `${origin}/api/v4/projects/${encodeURIComponent(projectPath)}${apiPath}`;
+    const headers = this.token ? { 'PRIVATE-TOKEN': this.token } : {};
+
+    const body = await httpClient.getText(requestUrl, { headers });
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      throw new Error(`Failed to parse GitLab response: ${error.message}`);
+    }
+  }
+
+  /**
+   * Converte una release dell'API GitLab nel formato normalizzato
+   * @param {Object} release - Release GitLab
+   * @returns {Object} Release normalizzata
+   */
+  normalizeRelease(release) {
+    const links = release.assets?.links || [];
+    const version = this.tagToVersion(release.tag_name);
+
+    return {
+      tag: release.tag_name,
+      version,
+      name: release.name || release.tag_name,
+      body: release.description || '',
+      publishedAt: release.released_at || release.created_at,
+      // GitLab non ha un flag di pre-release: upcoming_release indica solo una data futura
+      prerelease: isPrerelease(version) || Boolean(release.upcoming_release),
+      htmlUrl: release._links?.self || null,
+      assets: links
+        .map((link) => ({
+          name: link.name,
+          url: link.direct_asset_url || link.url,
+          size: null,
+        }))
+        // Solo link HTTP(S): i link delle release sono URL liberi
+        .filter((asset) => this.isHttpUrl(asset.url)),
+    };
+  }
+
+  /**
+   * Il token va anche sui download: sui progetti privati direct_asset_url rimanda al login
+   * Solo per gli URL dell'istanza del progetto (i link possono puntare ad altri host)
+   */
+  getDownloadHeaders(url, appDef) {
+    if (!this.token) return {};
+
+    let origin;
+    try {
+      ({ origin } = this.parseUrl(appDef.downloadUrl || appDef.changelogUrl));
+    } catch {
+      return {};
+    }
+    return url.startsWith(`${origin}/`) ? { 'PRIVATE-TOKEN': this.token } : {};
+  }
+
+  async getLatestRelease(url, appDef) {
+    const releases = await this.getReleases(url, appDef, { limit: 20 });
+    const latest = releases.find((release) => !release.prerelease);
+
+    if (!latest) {
+      throw new Error('GitLab project has no releases');
+    }
+    return latest;
+  }
+
+  async getReleases(url, appDef, options = {}) {
+    // L'API restituisce le release ordinate per data di rilascio (dalla più recente)
+    const releases = await this.makeRequest(url, `/releases?per_page=${options.limit || 10}&page=${options.page || 1}`);
+    return releases.map((release) => this.normalizeRelease(release));
+  }
+}
+
+export default new GitLabProvider();
@@ -0,0 +1,124 @@
+import httpClient from '../http-client.js';
+import { ReleaseProvider } from './release-provider.js';
+
+/**
+ * HTTP Manifest Provider - Release descritte da un manifest JSON su un server HTTP(S)
+ *
+ * Formato del manifest:
+ * {
+ *   "releases": [
+ *     {
+ *       "version": "1.2.0",
+ *       "tag": "v1.2.0",
+ *       "name": "Release 1.2.0",
+ *       "notes": "Note di rilascio (Markdown)",
+ *       "publishedAt": "2025-01-15T10:00:00Z",
+ *       "prerelease": false,
+ *       "assets": [{ "name": "Tool-Setup.exe", "url": "1.2.0/Tool-Setup.exe", "size": 123456 }]
+ *     }
+ *   ]
+ * }
+ *
+ * Gli URL relativi degli asset sono risolti rispetto all'URL del manifest.
+ */
+class HttpManifestProvider extends ReleaseProvider {
+  constructor() {
+    super('http-manifest');
+  }
+
+  /**
+   * @param {string} url - URL della sorgente
+   * @returns {boolean} True per URL HTTP(S) di un file .json
+   */
+  matches(url) {
+    try {
+      const parsed = new URL(url);
+      return ['http:', 'https:'].includes(parsed.protocol) && parsed.pathname.toLowerCase().endsWith('.json');
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Scarica e valida il manifest
+   * @param {string} url - URL del manifest
+   * @returns {Promise<Array<Object>>} Release del manifest
+   */
+  async fetchManifest(url) {
+    const body = await httpClient.getText(url, { timeout: 15000 });
+
+    let manifest;
+    try {
+      manifest = JSON.parse(body);
+    } catch (error) {
+      throw new Error(`Invalid release manifest JSON: ${error.message}`);
+    }
+
+    if (!manifest || !Array.isArray(manifest.releases)) {
+      throw new Error('Release manifest must contain a "releases" array');
+    }
+
+    return manifest.releases.filter((release) => {
+      if (!release || typeof release.version !== 'string') {
+        console.warn(`[HttpManifest] Skipping release without version in ${url}`);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Converte una release del manifest nel formato normalizzato
+   * @param {Object} release - Release del manifest
+   * @param {string} manifestUrl - URL del manifest (base per gli URL relativi)
+   * @returns {Object} Release normalizzata
+   */
+  normalizeRelease(release, manifestUrl) {
+    const version = this.tagToVersion(release.version);
+
+    return {
+      tag: release.tag || `v${version}`,
+      version,
+      name: release.name || `v${version}`,
+      body: release.notes || '',
+      publishedAt: release.publishedAt || null,
+      prerelease: Boolean(release.prerelease),
+      htmlUrl: null,
+      assets: (Array.isArray(release.assets) ? release.assets : [])
+        .filter((asset) => asset && asset.name && asset.url)
+        .map((asset) => ({
+          name: asset.name,
+          url: new URL(asset.url, manifestUrl).toString(),
+          size: asset.size ?? null,
+        }))
+        // Solo asset HTTP(S): un file:// del manifest verrebbe copiato ed eseguito dal disco
+        .filter((asset) => this.isHttpUrl(asset.url)),
+    };
+  }
+
+  /**
+   * Tutte le release del manifest, dalla versione più alta
+   * @param {string} url - URL del manifest
+   * @returns {Promise<Array<Object>>} Release normalizzate
+   */
+  async getAllReleases(url) {
+    const releases = (await this.fetchManifest(url)).map((release) => this.normalizeRelease(release, url));
+    return this.sortByVersion(releases);
+  }
+
+  async getLatestRelease(url) {
+    const releases = await this.getAllReleases(url);
+    const latest = releases.find((release) => !release.prerelease);
+
+    if (!latest) {
+      throw new Error('Release manifest has no stable releases');
+    }
+    return latest;
+  }
+
+  async getReleases(url, appDef, options = {}) {
+    return this.paginate(await this.getAllReleases(url), options);
+  }
+}
+
+export default new HttpManifestProvider();
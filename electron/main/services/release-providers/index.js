@@ -0,0 +1,332 @@
+import appStore from '../../store/app-store.js';
+import assetSelector from './asset-selector.js';
+import githubProvider from './github-provider.js';
+import gitlabProvider from './gitlab-provider.js';
+import httpManifestProvider from './http-manifest-provider.js';
+import folderProvider from './folder-provider.js';
+import { compareVersions, satisfiesRange } from '../../../../shared/version.js';
+
+/**
+ * Pagine di release esaminate al massimo per trovare una beta o un tag
+ */
+const MAX_RELEASE_PAGES = 10;
+
+/**
+ * Release per pagina nelle ricerche per canale
+ */
+const RELEASES_PER_PAGE = 30;
+
+/**
+ * Release Providers - Registro delle sorgenti di release
+ *
+ * Il provider di un'app è quello indicato da `releaseProvider` nel catalogo oppure,
+ * in sua assenza, il primo che riconosce l'URL (ordine di `providers`).
+ *
+ * La release "latest" dipende dal canale scelto per l'app (vedi AppStore.getAppChannel):
+ * - stable: ultima release stabile
+ * - beta: release più recente, pre-release comprese
+ * - tag: la release con il tag indicato
+ *
+ * Un pin di versione (`versionPin` del catalogo o scelto dall'utente) limita la latest
+ * alla release più recente che rientra nell'intervallo indicato.
+ */
+class ReleaseProviders {
+  constructor() {
+    // Ordine della selezione automatica: dal più specifico al più generico
+    this.providers = [githubProvider, gitlabProvider, folderProvider, httpManifestProvider];
+  }
+
+  /**
+   * Identificativi dei provider registrati
+   * @returns {Array<string>} es: ["github", "gitlab", "folder", "http-manifest"]
+   */
+  getProviderIds() {
+    return this.providers.map((provider) => provider.id);
+  }
+
+  /**
+   * Sorgente delle release di un'app
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @returns {string} URL o path
+   */
+  getSourceUrl(appDef) {
+    return appDef.downloadUrl || appDef.changelogUrl;
+  }
+
+  /**
+   * Sceglie il provider di un'app
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @returns {ReleaseProvider} Provider da usare
+   */
+  getProvider(appDef) {
+    if (appDef.releaseProvider) {
+      const provider = this.providers.find((p) => p.id === appDef.releaseProvider);
+      if (!provider) {
+        throw new Error(`Unknown release provider "${appDef.releaseProvider}" for ${appDef.id}`);
+      }
+      return provider;
+    }
+
+    const url = this.getSourceUrl(appDef);
+    const provider = url && this.providers.find((p) => p.matches(url, appDef));
+    if (!provider) {
+      throw new Error(`No release provider recognizes the source of ${appDef.id}: ${url || 'none'}`);
+    }
+    return provider;
+  }
+
+  /**
+   * Canale di release scelto per un'app
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @returns {Object} {type: 'stable'|'beta'|'tag', tag?}
+   */
+  getChannel(appDef) {
+    return appStore.getAppChannel(appDef.id);
+  }
+
+  /**
+   * Pin di versione di un'app: quello del catalogo (policy dell'amministratore) prevale su quello dell'utente
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @returns {Object|null} {range, source: 'policy'|'user'} o null se l'app non è bloccata
+   */
+  getVersionPin(appDef) {
+    if (appDef.versionPin) {
+      return { range: appDef.versionPin, source: 'policy' };
+    }
+
+    const range = appStore.getVersionPin(appDef.id);
+    return range ? { range, source: 'user' } : null;
+  }
+
+  /**
+   * Ottiene la release più recente del canale dell'app che rispetta il pin di versione
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @param {Object} channel - Canale (default: quello scelto per l'app)
+   * @returns {Promise<Object>} Release normalizzata (vedi ReleaseProvider); se il pin esclude
+   *   la release del canale, `heldBackVersion` indica la versione esclusa
+   */
+  async getLatestRelease(appDef, channel = this.getChannel(appDef)) {
+    const release = await this.getChannelRelease(appDef, channel);
+    const pin = this.getVersionPin(appDef);
+
+    if (!pin || satisfiesRange(release.version, pin.range)) {
+      return release;
+    }
+    if (channel.type === 'tag') {
+      throw new Error(`Release ${channel.tag} of ${appDef.id} is outside the version pin ${pin.range}`);
+    }
+
+    const pinned = await this.findRelease(appDef, (r) => satisfiesRange(r.version, pin.range));
+    if (!pinned) {
+      throw new Error(`No release of ${appDef.id} matches the version pin ${pin.range}`);
+    }
+    return { ...pinned, heldBackVersion: release.version };
+  }
+
+  /**
+   * Ottiene la release più recente del canale, senza considerare il pin di versione
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @param {Object} channel - Canale
+   * @returns {Promise<Object>} Release normalizzata
+   */
+  async getChannelRelease(appDef, channel) {
+    const provider = this.getProvider(appDef);
+
+    if (channel.type === 'beta') {
+      // I provider elencano le release dalla più recente: la prima è la più nuova
+      const release = await this.findRelease(appDef, () => true);
+      if (!release) throw new Error(`No releases found for ${appDef.id}`);
+      return release;
+    }
+
+    if (channel.type === 'tag') {
+      return this.getReleaseByTag(appDef, channel.tag);
+    }
+
+    return provider.getLatestRelease(this.getSourceUrl(appDef), appDef);
+  }
+
+  /**
+   * Ottiene la release di un tag: ricerca diretta del provider, altrimenti scorre le pagine
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @param {string} tag - Tag della release (accetta anche la sola versione, es: "1.2.0" per "v1.2.0")
+   * @returns {Promise<Object>} Release normalizzata
+   */
+  async getReleaseByTag(appDef, tag) {
+    const provider = this.getProvider(appDef);
+
+    let release = null;
+    try {
+      release = await provider.getReleaseByTag(this.getSourceUrl(appDef), appDef, tag);
+    } catch (error) {
+      // Es: 404 per un tag scritto senza prefisso, trovato poi per versione
+      console.warn(`[ReleaseProviders] Direct lookup of ${tag} for ${appDef.id} failed, searching releases:`, error.message);
+    }
+
+    if (!release) {
+      const version = provider.tagToVersion(tag);
+      release = await this.findRelease(appDef, (r) => r.tag === tag || r.version === version);
+    }
+    if (!release) throw new Error(`Release ${tag} not found for ${appDef.id}`);
+    return release;
+  }
+
+  /**
+   * Ottiene in blocco l'ultima release delle app sul canale stable senza pin (es: una query GraphQL per
+   * molti repository GitHub). Le app non risolte qui vanno interrogate con getLatestRelease
+   * @param {Array<Object>} appDefs - Definizioni app dal catalogo
+   * @returns {Promise<Map<string, Object>>} Release normalizzate per ID app
+   */
+  async getLatestReleases(appDefs) {
+    const entriesByProvider = new Map();
+
+    for (const appDef of appDefs) {
+      // Canali diversi da stable e pin di versione richiedono di scorrere le release
+      if (this.getChannel(appDef).type !== 'stable' || this.getVersionPin(appDef)) continue;
+
+      let provider;
+      try {
+        provider = this.getProvider(appDef);
+      } catch {
+        continue;
+      }
+
+      const entries = entriesByProvider.get(provider) || [];
+      entries.push({ url: this.getSourceUrl(appDef), appDef });
+      entriesByProvider.set(provider, entries);
+    }
+
+    const results = new Map();
+    for (const [provider, entries] of entriesByProvider) {
+      try {
+        const releases = await provider.getLatestReleases(entries);
+        releases.forEach((release, appId) => results.set(appId, release));
+      } catch (error) {
+        console.warn(`[ReleaseProviders] Batch lookup via ${provider.id} failed, falling back to single requests:`, error.message);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Cerca una release scorrendo le pagine del provider (dalla più recente)
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @param {Function} predicate - Condizione sulla release normalizzata
+   * @returns {Promise<Object|null>} Prima release che soddisfa la condizione
+   */
+  async findRelease(appDef, predicate) {
+    for (let page = 1; page <= MAX_RELEASE_PAGES; page++) {
+      const releases = await this.getReleases(appDef, { limit: RELEASES_PER_PAGE, page });
+      const match = releases.find(predicate);
+
+      if (match) return match;
+      if (releases.length === 0) break;
+    }
+    return null;
+  }
+
+  /**
+   * Raccoglie le release successive a una versione fino a quella di arrivo inclusa (changelog aggregato)
+   * Scorre le pagine del provider finché non incontra una release non successiva a `fromVersion`
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @param {string} fromVersion - Versione di partenza, esclusa (es: quella installata)
+   * @param {string} toVersion - Versione di arrivo, inclusa (es: la latest del canale)
+   * @param {Object} options - {includePrereleases} - le pre-release intermedie sono escluse di default
+   * @returns {Promise<Object>} {releases, complete} - releases dalla più recente;
+   *   complete false se la ricerca si è fermata a MAX_RELEASE_PAGES
+   */
+  async getReleasesBetween(appDef, fromVersion, toVersion, { includePrereleases = false } = {}) {
+    const provider = this.getProvider(appDef);
+    const byVersion = new Map();
+
+    for (let page = 1; page <= MAX_RELEASE_PAGES; page++) {
+      const releases = await this.getReleases(appDef, { limit: RELEASES_PER_PAGE, page });
+
+      for (const release of releases) {
+        const isTarget = compareVersions(release.version, toVersion) === 0;
+        const inRange = compareVersions(release.version, fromVersion) > 0
+          && compareVersions(release.version, toVersion) <= 0;
+
+        if (!inRange || (release.prerelease && !includePrereleases && !isTarget)) continue;
+        // Stessa versione con tag diversi (es: "v1.2.0" e "1.2.0"): vale la prima, la più recente
+        if (!byVersion.has(release.version)) byVersion.set(release.version, release);
+      }
+
+      // Le pagine vanno dalla più recente: oltre la versione di partenza ci sono solo release già note
+      if (releases.length === 0 || releases.some((release) => compareVersions(release.version, fromVersion) <= 0)) {
+        return { releases: provider.sortByVersion([...byVersion.values()]), complete: true };
+      }
+    }
+
+    return { releases: provider.sortByVersion([...byVersion.values()]), complete: false };
+  }
+
+  /**
+   * Ottiene le release più recenti di un'app
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @param {Object} options - Opzioni {limit, page}
+   * @returns {Promise<Array<Object>>} Release normalizzate
+   */
+  async getReleases(appDef, options = {}) {
+    const provider = this.getProvider(appDef);
+    return provider.getReleases(this.getSourceUrl(appDef), appDef, options);
+  }
+
+  /**
+   * Header HTTP per scaricare l'installer di un'app (es: token per asset privati)
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @param {string} url - URL di download (vedi getAppReleaseInfo)
+   * @returns {Object} Header HTTP
+   */
+  getDownloadHeaders(appDef, url) {
+    return this.getProvider(appDef).getDownloadHeaders(url, appDef);
+  }
+
+  /**
+   * Verifica se gli installer di un'app possono essere copiati dal filesystem
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @returns {boolean} True solo per le sorgenti locali (provider folder)
+   */
+  allowsLocalAssets(appDef) {
+    return this.getProvider(appDef).allowsLocalAssets();
+  }
+
+  /**
+   * Ottiene info complete per installazione/aggiornamento di un'app
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @param {Object} options - {tag} - release specifica invece della latest del canale
+   * @returns {Promise<Object>} {version, tag, prerelease, channel, downloadUrl, fileName, assetError, assets, releaseInfo}
+   */
+  async getAppReleaseInfo(appDef, { tag = null } = {}) {
+    try {
+      const provider = this.getProvider(appDef);
+      const channel = this.getChannel(appDef);
+      const release = tag ? await this.getReleaseByTag(appDef, tag) : await this.getLatestRelease(appDef, channel);
+      const assets = provider.getAssets(release);
+
+      const { asset, error: assetError } = assetSelector.selectAsset(assets, appDef);
+
+      return {
+        version: release.version,
+        tag: release.tag,
+        prerelease: release.prerelease,
+        channel,
+        downloadUrl: asset ? provider.getDownloadUrl(asset) : null,
+        fileName: asset ? asset.name : null,
+        assetError,
+        assets: assetSelector.filterWindowsAssets(assets),
+        releaseInfo: {
+          name: release.name,
+          body: release.body, // Note di rilascio
+          publishedAt: release.publishedAt,
+          htmlUrl: release.htmlUrl,
+        },
+      };
+    } catch (error) {
+      console.error(`[ReleaseProviders] Failed to get release info for ${appDef.id}:`, error);
+      throw error;
+    }
+  }
+}
+
+export default new ReleaseProviders();
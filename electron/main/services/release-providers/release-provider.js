@@ -0,0 +1,161 @@
+import { cleanVersion, compareVersions } from '../../../../shared/version.js';
+
+/**
+ * Release Provider - Interfaccia comune delle sorgenti di release
+ *
+ * Ogni provider converte le release della propria sorgente nel formato normalizzato:
+ * {
+ *   tag: 'v1.2.0',
+ *   version: '1.2.0',
+ *   name: 'Release 1.2.0',
+ *   body: 'Note di rilascio (Markdown)',
+ *   publishedAt: '2025-01-15T10:00:00Z',
+ *   prerelease: false,
+ *   htmlUrl: 'https://...' | null,
+ *   assets: [{ name: 'Tool-Setup.exe', url: 'https://...' | 'C:\\...', size: 123456 | null }]
+ * }
+ *
+ * Le sottoclassi implementano `matches`, `getLatestRelease` e `getReleases`.
+ */
+export class ReleaseProvider {
+  /**
+   * @param {string} id - Identificativo del provider (valore di `releaseProvider` nel catalogo)
+   */
+  constructor(id) {
+    this.id = id;
+  }
+
+  /**
+   * Verifica se il provider riconosce un URL (selezione automatica)
+   * @param {string} url - URL o path della sorgente
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @returns {boolean}
+   */
+  matches() {
+    return false;
+  }
+
+  /**
+   * Ottiene l'ultima release stabile
+   * @param {string} url - URL o path della sorgente
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @returns {Promise<Object>} Release normalizzata
+   */
+  async getLatestRelease() {
+    throw new Error(`Release provider "${this.id}" does not implement getLatestRelease`);
+  }
+
+  /**
+   * Ottiene l'ultima release stabile di più app con una sola ricerca, se la sorgente lo consente
+   * I provider senza ricerca multipla restituiscono una Map vuota: le app sono poi interrogate una per una
+   * @param {Array<Object>} entries - App da interrogare [{url, appDef}]
+   * @returns {Promise<Map<string, Object>>} Release normalizzate per ID app (solo quelle trovate)
+   */
+  async getLatestReleases() {
+    return new Map();
+  }
+
+  /**
+   * Ottiene la release di un tag con una sola richiesta, se la sorgente lo consente
+   * I provider senza ricerca diretta restituiscono null: il tag è poi cercato scorrendo getReleases
+   * @param {string} url - URL o path della sorgente
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @param {string} tag - Tag della release
+   * @returns {Promise<Object|null>} Release normalizzata o null
+   */
+  async getReleaseByTag() {
+    return null;
+  }
+
+  /**
+   * Ottiene le release più recenti (dalla più nuova), una pagina alla volta
+   * @param {string} url - URL o path della sorgente
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @param {Object} options - Opzioni {limit, page} - page parte da 1; una pagina vuota indica la fine
+   * @returns {Promise<Array<Object>>} Release normalizzate
+   */
+  async getReleases() {
+    throw new Error(`Release provider "${this.id}" does not implement getReleases`);
+  }
+
+  /**
+   * Ottiene gli asset scaricabili di una release
+   * @param {Object} release - Release normalizzata
+   * @returns {Array<Object>} Asset {name, url, size}
+   */
+  getAssets(release) {
+    return release.assets || [];
+  }
+
+  /**
+   * Ottiene l'URL (o path) da cui scaricare un asset
+   * @param {Object} asset - Asset normalizzato
+   * @returns {string} URL HTTP(S) o path del filesystem
+   */
+  getDownloadUrl(asset) {
+    return asset.url;
+  }
+
+  /**
+   * Header HTTP aggiuntivi per scaricare un asset (es: autenticazione)
+   * Non fanno parte della release normalizzata, che può arrivare al renderer
+   * @param {string} url - URL restituito da getDownloadUrl
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @returns {Object} Header HTTP
+   */
+  getDownloadHeaders() {
+    return {};
+  }
+
+  /**
+   * Verifica se gli asset del provider possono essere file del filesystem (path locali, UNC, file://)
+   * Solo le sorgenti locali lo consentono: un asset remoto che punta a un file locale è rifiutato
+   * @returns {boolean}
+   */
+  allowsLocalAssets() {
+    return false;
+  }
+
+  /**
+   * Verifica se un URL di asset è HTTP(S)
+   * @param {string} url - URL dell'asset
+   * @returns {boolean}
+   */
+  isHttpUrl(url) {
+    try {
+      return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Rimuove il prefisso da un tag per ottenere la versione
+   * @param {string} tag - Tag della release (es: "v1.2.0", "release-2024.05")
+   * @returns {string} Versione (es: "1.2.0", "2024.05")
+   */
+  tagToVersion(tag) {
+    return cleanVersion(tag);
+  }
+
+  /**
+   * Ordina le release dalla versione più alta alla più bassa
+   * @param {Array<Object>} releases - Release normalizzate
+   * @returns {Array<Object>} Nuovo array ordinato
+   */
+  sortByVersion(releases) {
+    return [...releases].sort((a, b) => compareVersions(b.version, a.version));
+  }
+
+  /**
+   * Estrae una pagina da una lista completa di release
+   * @param {Array<Object>} releases - Release ordinate
+   * @param {Object} options - Opzioni {limit, page}
+   * @returns {Array<Object>} Release della pagina
+   */
+  paginate(releases, options = {}) {
+    const limit = options.limit || 10;
+    const start = ((options.page || 1) - 1) * limit;
+    return releases.slice(start, start + limit);
+  }
+}
@@ -1,5 +1,6 @@
-import githubService from './github-service.js';
+import releaseProviders from './release-providers/index.js';
 import appStore from '../store/app-store.js';
+import { compareVersions } from '../../../shared/version.js';
 
 /**
  * Update Checker Service - Controlla aggiornamenti disponibili per le app
@@ -74,18 +75,16 @@ class UpdateChecker {
         }
 
         try {
-          // Ottieni info da GitHub
-          const releaseInfo = await githubService.getAppReleaseInfo(
-            appDef.downloadUrl || appDef.changelogUrl
-          );
+          // Ottieni info dal provider di release dell'app (latest del canale, nel pin di versione)
+          const releaseInfo = await releaseProviders.getAppReleaseInfo(appDef);
 
           const latestVersion = releaseInfo.version;
           const installedVersion = installedApp.installedVersion;
 
           // Confronta versioni
-          const comparison = githubService.compareVersions(latestVersion, installedVersion);
+          const comparison = compareVersions(latestVersion, installedVersion);
 
-          if (comparison > 0) {
+          if (comparison > 0 && !this.isHeldBack(installedApp, latestVersion)) {
             // Aggiornamento disponibile
             appsWithUpdates.push({
               ...appDef,
@@ -126,16 +125,14 @@ class UpdateChecker {
     }
 
     try {
-      const releaseInfo = await githubService.getAppReleaseInfo(
-        appDefinition.downloadUrl || appDefinition.changelogUrl
-      );
+      const releaseInfo = await releaseProviders.getAppReleaseInfo(appDefinition);
 
       const latestVersion = releaseInfo.version;
       const installedVersion = installedApp.installedVersion;
 
-      const comparison = githubService.compareVersions(latestVersion, installedVersion);
+      const comparison = compareVersions(latestVersion, installedVersion);
 
-      if (comparison > 0) {
+      if (comparison > 0 && !this.isHeldBack(installedApp, latestVersion)) {
         return {
           available: true,
           installedVersion,
@@ -156,6 +153,17 @@ class UpdateChecker {
     }
   }
 
+  /**
+   * Verifica se un'app riportata a una versione precedente deve restare tale
+   * L'aggiornamento non viene notificato finché non esce una release successiva a quella abbandonata
+   * @param {Object} installedApp - Dati app installata (vedi AppStore.markDowngraded)
+   * @param {string} latestVersion - Ultima versione del canale
+   * @returns {boolean}
+   */
+  isHeldBack(installedApp, latestVersion) {
+    return Boolean(installedApp.downgradedFrom) && compareVersions(latestVersion, installedApp.downgradedFrom) <= 0;
+  }
+
   /**
    * Verifica se è necessario un check aggiornamenti
    * Basato sull'intervallo configurato
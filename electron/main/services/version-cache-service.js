@@ -1,55 +1,203 @@
-import githubService from './github-service.js';
+import fs from 'fs';
+import path from 'path';
+import { app } from 'electron';
+import releaseProviders from './release-providers/index.js';
+
+/**
+ * Età massima delle voci lette da disco: oltre, l'app viene trattata come mai vista
+ * (evita di mostrare versioni di mesi prima o di app non più nel catalogo)
+ */
+const MAX_PERSISTED_AGE = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Attesa prima di scrivere la cache su disco (raggruppa gli aggiornamenti di un refresh)
+ */
+const SAVE_DELAY = 1000;
 
 /**
  * Version Cache Service
- * Gestisce la cache delle versioni GitHub per evitare troppe chiamate API
+ * Gestisce la cache delle versioni latest per evitare troppe chiamate ai provider di release
+ *
+ * La cache è salvata su disco con l'istante di ogni ricerca: all'avvio la libreria mostra
+ * subito le versioni note, anche scadute, e le rivalida in background (stale-while-revalidate).
  */
 class VersionCacheService {
   constructor() {
-    // Cache in-memory: { appId: { version, fetchedAt, ttl } }
+    // Cache in-memory: { appId: { version, release, fetchedAt, ttl } }
     this.cache = new Map();
 
     // TTL default: 5 minuti (300000 ms)
     this.defaultTTL = 300000;
+
+    // File della cache su disco (lazy, vedi cacheFile)
+    this._cacheFile = null;
+    this.loaded = false;
+    this.saveTimer = null;
+
+    // Rivalidazione in background in corso (una alla volta)
+    this.revalidating = null;
+
+    // Callback per le latest cambiate dopo una rivalidazione
+    this.changeListener = null;
+  }
+
+  /**
+   * Getter per il file della cache con lazy initialization
+   */
+  get cacheFile() {
+    if (!this._cacheFile) {
+      this._cacheFile = path.join(app.getPath('userData'), 'version-cache.json');
+    }
+    return this._cacheFile;
+  }
+
+  /**
+   * Carica la cache salvata su disco (una volta sola, alla prima richiesta)
+   * Le voci caricate mantengono l'istante della ricerca: se scadute vanno rivalidate
+   */
+  loadFromDisk() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    try {
+      if (!fs.existsSync(this.cacheFile)) return;
+
+      const { entries = {} } = JSON.parse(fs.readFileSync(this.cacheFile, 'utf-8'));
+      const now = Date.now();
+      let count = 0;
+
+      Object.entries(entries).forEach(([appId, entry]) => {
+        if (!entry?.version || !entry.release || typeof entry.fetchedAt !== 'number') return;
+        if (now - entry.fetchedAt > MAX_PERSISTED_AGE || this.cache.has(appId)) return;
+
+        this.cache.set(appId, {
+          version: entry.version,
+          release: entry.release,
+          fetchedAt: entry.fetchedAt,
+          ttl: this.defaultTTL,
+        });
+        count++;
+      });
+
+      console.log(`[VersionCache] Loaded ${count} cached versions from disk`);
+    } catch (error) {
+      console.warn('[VersionCache] Failed to read cache from disk:', error.message);
+    }
+  }
+
+  /**
+   * Pianifica il salvataggio della cache su disco
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.saveToDisk(), SAVE_DELAY);
+  }
+
+  /**
+   * Salva la cache su disco (solo le versioni dai provider, non quelle di fallback)
+   */
+  saveToDisk() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    const entries = {};
+    this.cache.forEach((value, appId) => {
+      if (value.release) {
+        entries[appId] = { version: value.version, release: value.release, fetchedAt: value.fetchedAt };
+      }
+    });
+
+    try {
+      const tempPath = `${this.cacheFile}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ savedAt: new Date().toISOString(), entries }));
+      fs.renameSync(tempPath, this.cacheFile);
+    } catch (error) {
+      console.warn('[VersionCache] Failed to write cache to disk:', error.message);
+    }
+  }
+
+  /**
+   * Scrive subito un salvataggio in attesa (alla chiusura dell'app)
+   */
+  flush() {
+    if (this.saveTimer) {
+      this.saveToDisk();
+    }
+  }
+
+  /**
+   * Verifica se una voce della cache è scaduta
+   * @param {Object} cached - Voce della cache
+   * @returns {boolean}
+   */
+  isExpired(cached) {
+    return Date.now() - cached.fetchedAt >= cached.ttl;
+  }
+
+  /**
+   * Salva in cache la release più recente di un'app
+   * @param {string} appId
+   * @param {Object} release - Release normalizzata
+   * @param {number} timestamp - Istante della ricerca
+   */
+  setRelease(appId, release, timestamp) {
+    this.cache.set(appId, {
+      version: release.version,
+      release,
+      fetchedAt: timestamp,
+      ttl: this.defaultTTL,
+    });
+    this.scheduleSave();
   }
 
   /**
-   * Ottiene la versione latest da GitHub (con cache)
-   * @param {string} appId - ID dell'app
-   * @param {string} githubUrl - URL GitHub releases
-   * @param {string} fallbackVersion - Versione fallback da apps.json
+   * Ottiene la versione latest dal provider di release dell'app (con cache)
+   * @param {Object} appDef - Definizione app dal catalogo (la versione del catalogo è il fallback)
+   * @param {Object} options - {allowStale}: se true una versione scaduta viene restituita
+   *   senza ricerca (la rivalidazione è a carico di revalidateInBackground)
    * @returns {Promise<string>} Versione latest
    */
-  async getLatestVersion(appId, githubUrl, fallbackVersion) {
+  async getLatestVersion(appDef, { allowStale = false } = {}) {
+    const { id: appId } = appDef;
+    this.loadFromDisk();
+
     // 1. Controlla cache
     const cached = this.cache.get(appId);
-    const now = Date.now();
 
-    if (cached && (now - cached.fetchedAt < cached.ttl)) {
-      console.log(`[VersionCache] Using cached version for ${appId}: ${cached.version}`);
+    if (cached && (allowStale || !this.isExpired(cached))) {
       return cached.version;
     }
 
-    // 2. Cache expired o non esistente - fetch da GitHub
+    // 2. Cache expired o non esistente - fetch dal provider
+    return this.fetchLatestVersion(appDef);
+  }
+
+  /**
+   * Cerca la versione latest dal provider di release e la mette in cache
+   * In caso di errore restituisce la versione in cache (anche scaduta) o quella del catalogo
+   * @param {Object} appDef - Definizione app dal catalogo
+   * @returns {Promise<string>} Versione latest
+   */
+  async fetchLatestVersion(appDef) {
+    const { id: appId, version: fallbackVersion } = appDef;
+    const cached = this.cache.get(appId);
+    const now = Date.now();
+
     try {
-      console.log(`[VersionCache] Fetching latest version from GitHub for ${appId}...`);
+      console.log(`[VersionCache] Fetching latest version for ${appId}...`);
 
-      const releaseInfo = await githubService.getAppReleaseInfo(githubUrl);
+      const releaseInfo = await releaseProviders.getLatestRelease(appDef);
 
       if (releaseInfo && releaseInfo.version) {
         // Salva in cache
-        this.cache.set(appId, {
-          version: releaseInfo.version,
-          fetchedAt: now,
-          ttl: this.defaultTTL,
-        });
+        this.setRelease(appId, releaseInfo, now);
 
         console.log(`[VersionCache] Cached version for ${appId}: ${releaseInfo.version}`);
         return releaseInfo.version;
       }
 
-      // GitHub response senza version - usa fallback
-      console.warn(`[VersionCache] GitHub response missing version for ${appId}, using fallback`);
+      // Release senza version - usa fallback
+      console.warn(`[VersionCache] Release response missing version for ${appId}, using fallback`);
       return this.useFallback(appId, fallbackVersion, now);
 
     } catch (error) {
@@ -66,6 +214,111 @@ class VersionCacheService {
     }
   }
 
+  /**
+   * Riempie la cache per più app con una ricerca in blocco (es: GraphQL con token GitHub)
+   * Le app non risolte, o con cache ancora valida, restano a getLatestVersion (richieste singole)
+   * @param {Array<Object>} appDefs - Definizioni app dal catalogo
+   * @param {Object} options - {missingOnly}: se true cerca solo le app senza versione in cache
+   * @returns {Promise<number>} Numero di app messe in cache
+   */
+  async prefetchLatestVersions(appDefs, { missingOnly = false } = {}) {
+    this.loadFromDisk();
+
+    const now = Date.now();
+    const stale = appDefs.filter((appDef) => {
+      const cached = this.cache.get(appDef.id);
+      return !cached || (!missingOnly && this.isExpired(cached));
+    });
+
+    if (stale.length === 0) return 0;
+
+    const releases = await releaseProviders.getLatestReleases(stale);
+    releases.forEach((release, appId) => {
+      if (release.version) {
+        this.setRelease(appId, release, now);
+      }
+    });
+
+    if (releases.size > 0) {
+      console.log(`[VersionCache] Prefetched ${releases.size}/${stale.length} versions in batch`);
+    }
+    return releases.size;
+  }
+
+  /**
+   * Registra il callback per le versioni cambiate dopo una rivalidazione in background
+   * @param {Function} callback - Chiamato con {appId, version, previousVersion}
+   */
+  onVersionChanged(callback) {
+    this.changeListener = callback;
+  }
+
+  /**
+   * Avvia la rivalidazione delle versioni scadute senza attenderla
+   * Se una rivalidazione è già in corso la richiesta viene ignorata
+   * @param {Array<Object>} appDefs - Definizioni app dal catalogo
+   */
+  revalidateInBackground(appDefs) {
+    if (this.revalidating) return;
+
+    this.revalidating = this.revalidate(appDefs)
+      .catch((error) => console.warn('[VersionCache] Background revalidation failed:', error.message))
+      .finally(() => {
+        this.revalidating = null;
+      });
+  }
+
+  /**
+   * Rivalida le versioni scadute (in blocco dove possibile, poi singolarmente)
+   * e notifica quelle cambiate a onVersionChanged
+   * @param {Array<Object>} appDefs - Definizioni app dal catalogo
+   * @returns {Promise<Array<Object>>} Versioni cambiate [{appId, version, previousVersion}]
+   */
+  async revalidate(appDefs) {
+    this.loadFromDisk();
+
+    const expired = appDefs.filter((appDef) => {
+      const cached = this.cache.get(appDef.id);
+      return cached && this.isExpired(cached);
+    });
+    if (expired.length === 0) return [];
+
+    console.log(`[VersionCache] Revalidating ${expired.length} expired versions in background...`);
+    const previous = new Map(expired.map((appDef) => [appDef.id, this.getCachedVersion(appDef.id)]));
+
+    try {
+      await this.prefetchLatestVersions(expired);
+    } catch (error) {
+      console.warn('[VersionCache] Batch revalidation failed:', error.message);
+    }
+
+    // Le app non risolte in blocco restano scadute: richieste singole
+    // (una voce rimossa nel frattempo da clearCache viene ricercata di nuovo)
+    await Promise.all(expired
+      .filter((appDef) => {
+        const cached = this.cache.get(appDef.id);
+        return !cached || this.isExpired(cached);
+      })
+      .map((appDef) => this.fetchLatestVersion(appDef)));
+
+    const changes = expired
+      .map((appDef) => ({
+        appId: appDef.id,
+        version: this.getCachedVersion(appDef.id),
+        previousVersion: previous.get(appDef.id),
+      }))
+      .filter((change) => change.version && change.version !== change.previousVersion);
+
+    changes.forEach((change) => {
+      console.log(`[VersionCache] Latest version of ${change.appId} changed: ${change.previousVersion} -> ${change.version}`);
+      if (this.changeListener) {
+        this.changeListener(change);
+      }
+    });
+
+    return changes;
+  }
+
   /**
    * Usa versione fallback e la mette in cache temporanea
    * @param {string} appId
@@ -96,11 +349,23 @@ class VersionCacheService {
     return cached ? cached.version : null;
   }
 
+  /**
+   * Ottiene la release in cache di un'app (senza fetch)
+   * @param {string} appId
+   * @returns {Object|null} Release normalizzata (null per versioni di fallback)
+   */
+  getCachedRelease(appId) {
+    const cached = this.cache.get(appId);
+    return cached?.release || null;
+  }
+
   /**
    * Pulisce la cache (forza refresh)
    * @param {string} appId - Se specificato, pulisce solo per quell'app
    */
   clearCache(appId = null) {
+    this.loadFromDisk();
+
     if (appId) {
       this.cache.delete(appId);
       console.log(`[VersionCache] Cleared cache for ${appId}`);
@@ -108,6 +373,7 @@ class VersionCacheService {
       this.cache.clear();
       console.log('[VersionCache] Cleared all cache');
     }
+    this.scheduleSave();
   }
 
   /**
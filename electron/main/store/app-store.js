@@ -1,5 +1,5 @@
 import Store from 'electron-store';
-import { app } from 'electron';
+import { app, safeStorage } from 'electron';
 import path from 'path';
 
 /**
@@ -27,6 +27,29 @@ const schema = {
     type: 'object',
     default: {},
   },
+  channels: {
+    type: 'object',
+    default: {},
+    additionalProperties: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['stable', 'beta', 'tag'] },
+        tag: { type: 'string' },
+      },
+    },
+  },
+  versionPins: {
+    // Intervallo di versioni scelto dall'utente per app (es: "1.4.x"), vedi satisfiesRange
+    type: 'object',
+    default: {},
+    additionalProperties: { type: 'string' },
+  },
+  credentials: {
+    // Valori cifrati con safeStorage (base64), mai in chiaro
+    type: 'object',
+    default: {},
+    additionalProperties: { type: 'string' },
+  },
   lastUpdateCheck: {
     type: ['string', 'null'],
     default: null,
@@ -87,6 +110,19 @@ class AppStore {
     this.store.delete(`apps.${appId}`);
   }
 
+  /**
+   * Registra che un'app è stata riportata volontariamente a una versione precedente
+   * Il prossimo aggiornamento riscrive il record (setInstalledApp) e azzera l'informazione
+   * @param {string} appId - ID dell'app
+   * @param {string} fromVersion - Versione abbandonata
+   */
+  markDowngraded(appId, fromVersion) {
+    if (!this.isAppInstalled(appId)) return;
+
+    this.store.set(`apps.${appId}.downgradedFrom`, fromVersion);
+    this.store.set(`apps.${appId}.downgradedAt`, new Date().toISOString());
+  }
+
   /**
    * Aggiorna timestamp ultimo lancio
    * @param {string} appId - ID dell'app
@@ -172,6 +208,118 @@ class AppStore {
     this.store.set('settings', schema.settings.default);
   }
 
+  // ========================================
+  // Release Channels
+  // ========================================
+
+  /**
+   * Ottiene il canale di release scelto per un'app
+   * @param {string} appId - ID dell'app
+   * @returns {Object} {type: 'stable'|'beta'|'tag', tag?} - default: stable
+   */
+  getAppChannel(appId) {
+    return this.store.get('channels', {})[appId] || { type: 'stable' };
+  }
+
+  /**
+   * Imposta il canale di release di un'app
+   * @param {string} appId - ID dell'app
+   * @param {Object} channel - {type: 'stable'|'beta'|'tag', tag?}
+   */
+  setAppChannel(appId, channel) {
+    const channels = { ...this.store.get('channels', {}) };
+
+    if (channel.type === 'stable') {
+      delete channels[appId]; // stable è il default
+    } else {
+      channels[appId] = channel.type === 'tag' ? { type: 'tag', tag: channel.tag } : { type: channel.type };
+    }
+
+    this.store.set('channels', channels);
+  }
+
+  /**
+   * Ottiene il pin di versione scelto dall'utente per un'app
+   * @param {string} appId - ID dell'app
+   * @returns {string|null} Intervallo di versioni (es: "1.4.x", "2.1.0") o null
+   */
+  getVersionPin(appId) {
+    return this.store.get('versionPins', {})[appId] || null;
+  }
+
+  /**
+   * Imposta o rimuove il pin di versione di un'app
+   * @param {string} appId - ID dell'app
+   * @param {string|null} range - Intervallo di versioni, null per rimuoverlo
+   */
+  setVersionPin(appId, range) {
+    const pins = { ...this.store.get('versionPins', {}) };
+
+    if (range) {
+      pins[appId] = range;
+    } else {
+      delete pins[appId];
+    }
+
+    this.store.set('versionPins', pins);
+  }
+
+  // ========================================
+  // Credentials
+  // ========================================
+
+  /**
+   * Verifica se le credenziali possono essere cifrate (DPAPI su Windows, Keychain su macOS)
+   * Disponibile solo dopo l'evento ready dell'app
+   * @returns {boolean}
+   */
+  isEncryptionAvailable() {
+    return app.isReady() && safeStorage.isEncryptionAvailable();
+  }
+
+  /**
+   * Ottiene una credenziale decifrata
+   * @param {string} name - Nome della credenziale (es: "githubToken")
+   * @returns {string|null} Valore in chiaro o null se assente o non decifrabile
+   */
+  getCredential(name) {
+    const encrypted = this.store.get('credentials', {})[name];
+    if (!encrypted || !this.isEncryptionAvailable()) return null;
+
+    try {
+      return safeStorage.decryptString(Buffer.from(encrypted, 'base64'));
+    } catch (error) {
+      // Es: profilo copiato da un altro utente Windows
+      console.error(`[AppStore] Failed to decrypt credential "${name}":`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Salva una credenziale cifrata
+   * @param {string} name - Nome della credenziale
+   * @param {string} value - Valore in chiaro
+   */
+  setCredential(name, value) {
+    if (!this.isEncryptionAvailable()) {
+      throw new Error('Secure credential storage is not available on this system');
+    }
+
+    const credentials = { ...this.store.get('credentials', {}) };
+    credentials[name] = safeStorage.encryptString(value).toString('base64');
+    this.store.set('credentials', credentials);
+  }
+
+  /**
+   * Rimuove una credenziale
+   * @param {string} name - Nome della credenziale
+   */
+  deleteCredential(name) {
+    const credentials = { ...this.store.get('credentials', {}) };
+    delete credentials[name];
+    this.store.set('credentials', credentials);
+  }
+
   // ========================================
   // Update Tracking
   // ========================================
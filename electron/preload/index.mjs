@@ -47,6 +47,70 @@ contextBridge.exposeInMainWorld('electronAPI', {
    */
   selectExecutable: (appId) => ipcRenderer.invoke('app:select-executable', appId),
 
+  /**
+   * Elenca le release di un'app, dalla più recente
+   * @param {string} appId - ID dell'app
+   * @param {Object} options - {limit, page}
+   * @returns {Promise<Object>} {success, data: [{tag, version, name, body, publishedAt, prerelease, htmlUrl}]}
+   */
+  getAppReleases: (appId, options) => ipcRenderer.invoke('app:get-releases', appId, options),
+
+  /**
+   * Installa una release specifica (anche precedente: rollback)
+   * @param {string} appId - ID dell'app
+   * @param {string} tag - Tag della release
+   * @returns {Promise<Object>} {success, version, error}
+   */
+  installAppVersion: (appId, tag) => ipcRenderer.invoke('app:install-version', appId, tag),
+
+  /**
+   * Release tra la versione installata e la latest del canale ("novità dalla tua versione")
+   * @param {string} appId - ID dell'app
+   * @returns {Promise<Object>} {success, data: {installedVersion, latestVersion, complete,
+   *   releases: [{tag, version, name, body, publishedAt, prerelease, htmlUrl}]}} - releases dalla più recente
+   */
+  getChangelogSince: (appId) => ipcRenderer.invoke('app:get-changelog-since', appId),
+
+  /**
+   * Cambia il canale di release di un'app (il main process propone installazione o downgrade)
+   * @param {string} appId - ID dell'app
+   * @param {Object} channel - {type: 'stable'|'beta'|'tag', tag?}
+   * @returns {Promise<Object>} {success, data: {channel, version, action, accepted}}
+   */
+  setAppChannel: (appId, channel) => ipcRenderer.invoke('app:set-channel', appId, channel),
+
+  /**
+   * Blocca un'app a una versione o a un intervallo (es: "2.4.1", "1.4.x", ">=2.0 <2.3")
+   * @param {string} appId - ID dell'app
+   * @param {string|null} range - Intervallo, null per rimuovere il pin
+   * @returns {Promise<Object>} {success, data: {range, version}} - version: latest consentita dal pin
+   */
+  setVersionPin: (appId, range) => ipcRenderer.invoke('app:set-version-pin', appId, range),
+
+  // ========================================
+  // Catalog
+  // ========================================
+
+  /**
+   * Ottiene stato delle sorgenti del catalogo e problemi di validazione
+   * Gli id duplicati tra sorgenti compaiono in issues come warning sul campo `id`
+   * @returns {Promise<Object>} {success, data: {loadedAt, count,
+   *   sources: [{id, name, url, origin, fetchedAt, error, rejected, verified}],
+   *   signature: {enabled, keyCount, errors}, issues: [{index, appId, field, severity, message, sourceId}]}}
+   */
+  getCatalogDiagnostics: () => ipcRenderer.invoke('catalog:get-diagnostics'),
+
+  /**
+   * Ascolta modifiche del catalogo (hot-reload di apps.json)
+   * @param {Function} callback - Callback con la diagnostica aggiornata del catalogo
+   */
+  onCatalogChanged: (callback) => {
+    const subscription = (event, data) => callback(data);
+    ipcRenderer.on('catalog:changed', subscription);
+
+    return () => ipcRenderer.removeListener('catalog:changed', subscription);
+  },
+
   // ========================================
   // Download & Installation Progress
   // ========================================
@@ -126,6 +190,18 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return () => ipcRenderer.removeListener('updates:available', subscription);
   },
 
+  /**
+   * Ascolta le latest cambiate dopo la rivalidazione in background delle versioni in cache
+   * @param {Function} callback - Callback con {appId, version, previousVersion, app}
+   *   (app: dati completi dell'app, come in getApps)
+   */
+  onAppVersionChanged: (callback) => {
+    const subscription = (event, data) => callback(data);
+    ipcRenderer.on('app:version-changed', subscription);
+
+    return () => ipcRenderer.removeListener('app:version-changed', subscription);
+  },
+
   /**
    * Ascolta notifiche di app auto-rilevate
    * @param {Function} callback - Callback con lista app rilevate
@@ -163,6 +239,89 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return () => ipcRenderer.removeListener('startup:complete', subscription);
   },
 
+  // ========================================
+  // Network Proxy
+  // ========================================
+
+  /**
+   * Ottiene la configurazione del proxy (la password non viene restituita)
+   * @returns {Promise<Object>} {success, data: {mode, proxyUrl, proxyBypass, proxyUsername, hasPassword, envProxy}}
+   */
+  getProxyConfig: () => ipcRenderer.invoke('proxy:get-config'),
+
+  /**
+   * Salva la configurazione del proxy
+   * @param {Object} config - {mode: 'auto'|'manual'|'system'|'none', proxyUrl, proxyBypass, proxyUsername, password}
+   */
+  setProxyConfig: (config) => ipcRenderer.invoke('proxy:set-config', config),
+
+  /**
+   * Verifica la connessione all'API GitHub con il proxy configurato
+   * @returns {Promise<Object>} {success, data: {proxy, source}, error}
+   */
+  testProxy: () => ipcRenderer.invoke('proxy:test'),
+
+  // ========================================
+  // Certificates
+  // ========================================
+
+  /**
+   * Ottiene la sorgente delle CA attendibili attiva
+   * @returns {Promise<Object>} {success, data: {source: 'default'|'env'|'file'|'system', path, count, error}}
+   */
+  getCertificateStatus: () => ipcRenderer.invoke('certificates:get-status'),
+
+  /**
+   * Salva la sorgente delle CA attendibili (bundle PEM o archivio di sistema)
+   * @param {Object} config - {source: 'default'|'file'|'system', path}
+   * @returns {Promise<Object>} {success, data: stato dopo il caricamento, error}
+   */
+  setCertificateConfig: (config) => ipcRenderer.invoke('certificates:set-config', config),
+
+  // ========================================
+  // GitHub
+  // ========================================
+
+  /**
+   * Ottiene la quota residua dell'API GitHub
+   * @returns {Promise<Object>} {success, data: [{host, limit, remaining, used, reset, authenticated}]}
+   */
+  getGitHubRateLimit: () => ipcRenderer.invoke('github:get-rate-limit'),
+
+  /**
+   * Ottiene lo stato del token GitHub (il valore non viene mai restituito)
+   * @returns {Promise<Object>} {success, data: {configured, source: 'settings'|'env'|null, encryptionAvailable}}
+   */
+  getGitHubTokenStatus: () => ipcRenderer.invoke('github:get-token-status'),
+
+  /**
+   * Salva il token GitHub (cifrato con safeStorage)
+   * @param {string} token - Personal Access Token
+   */
+  setGitHubToken: (token) => ipcRenderer.invoke('github:set-token', token),
+
+  /**
+   * Verifica un token GitHub
+   * @param {string} token - Token da verificare (opzionale: default quello in uso)
+   * @returns {Promise<Object>} {success, data: {valid, login, scopes, rateLimit, error}}
+   */
+  testGitHubToken: (token) => ipcRenderer.invoke('github:test-token', token),
+
+  /**
+   * Rimuove il token GitHub salvato
+   */
+  clearGitHubToken: () => ipcRenderer.invoke('github:clear-token'),
+
+  // ========================================
+  // Shell
+  // ========================================
+
+  /**
+   * Apre un link nel browser di sistema
+   * @param {string} url - URL http o https
+   */
+  openExternal: (url) => ipcRenderer.invoke('shell:open-external', url),
+
   // ========================================
   // System Info
   // ========================================
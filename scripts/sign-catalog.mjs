@@ -0,0 +1,47 @@
+/**
+ * Firma dei cataloghi (apps.json) con Ed25519
+ *
+ * Uso:
+ *   node scripts/sign-catalog.mjs keygen <output-dir>
+ *     Genera catalog-signing.key (privata, da custodire) e stampa la chiave
+ *     pubblica da aggiungere a TRUSTED_CATALOG_KEYS in
+ *     electron/main/services/catalog-signature.js
+ *
+ *   node scripts/sign-catalog.mjs sign <apps.json> <catalog-signing.key>
+ *     Scrive la firma detached in <apps.json>.sig (base64)
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const [command, ...args] = process.argv.slice(2);
+
+if (command === 'keygen') {
+  const outputDir = args[0] || '.';
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+
+  const keyPath = path.join(outputDir, 'catalog-signing.key');
+  fs.writeFileSync(keyPath, privateKey.export({ format: 'pem', type: 'pkcs8' }), { mode: 0o600 });
+
+  // Chiave pubblica raw: ultimi 32 byte della codifica SPKI DER
+  const rawPublicKey = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32);
+
+  console.log(`Private key written to ${keyPath}`);
+  console.log(`Public key (add to TRUSTED_CATALOG_KEYS): ${rawPublicKey.toString('base64')}`);
+} else if (command === 'sign' && args.length === 2) {
+  const [catalogPath, keyPath] = args;
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(keyPath));
+
+  // Valida il JSON prima di firmare
+  JSON.parse(fs.readFileSync(catalogPath, 'utf-8'));
+
+  const signature = crypto.sign(null, fs.readFileSync(catalogPath), privateKey);
+  fs.writeFileSync(`${catalogPath}.sig`, signature.toString('base64'));
+
+  console.log(`Signature written to ${catalogPath}.sig`);
+} else {
+  console.error('Usage:');
+  console.error('  node scripts/sign-catalog.mjs keygen <output-dir>');
+  console.error('  node scripts/sign-catalog.mjs sign <apps.json> <catalog-signing.key>');
+  process.exit(1);
+}
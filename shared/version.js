@@ -0,0 +1,245 @@
+/**
+ * Versioni delle app - modulo condiviso tra main process e renderer
+ *
+ * Confronto con la precedenza di Semantic Versioning 2.0.0 (https://semver.org/#spec-item-11),
+ * con parsing tollerante dei tag più comuni che non sono semver:
+ * - prefissi non numerici: "v1.2.0", "release-2024.05", "MyApp_1.4"
+ * - più o meno di tre componenti: "2024.05", "1.2.3.4" (le mancanti valgono 0)
+ * - pre-release senza trattino: "1.2.0beta1" equivale a "1.2.0-beta.1"
+ * I metadati di build ("+build.5") sono ignorati nel confronto.
+ */
+
+/**
+ * Parte numerica della versione, seguita da pre-release e build opzionali
+ */
+const VERSION_PATTERN = /^(\d+(?:\.\d+)*)(?:[-_.]?([0-9A-Za-z][0-9A-Za-z.-]*?))?(?:\+([0-9A-Za-z.-]+))?$/;
+
+/**
+ * Scompone una versione o un tag
+ * @param {string} input - Versione o tag (es: "v1.2.0-beta.1+build.5")
+ * @returns {Object|null} {numbers, prerelease, build} o null se non contiene una versione
+ *   es: {numbers: [1, 2, 0], prerelease: ['beta', 1], build: 'build.5'}
+ */
+export const parseVersion = (input) => {
+  if (input === null || input === undefined) return null;
+
+  const match = cleanVersion(input).match(VERSION_PATTERN);
+  if (!match) return null;
+
+  const [, core, prerelease, build] = match;
+
+  return {
+    numbers: core.split('.').map(Number),
+    // "beta1" -> ["beta", 1]: i numeri dentro gli identificatori si confrontano come numeri
+    prerelease: prerelease
+      ? prerelease
+        .split(/[.-]|(?<=[A-Za-z])(?=\d)|(?<=\d)(?=[A-Za-z])/)
+        .filter(Boolean)
+        .map((id) => (/^\d+$/.test(id) ? Number(id) : id))
+      : [],
+    build: build || null,
+  };
+};
+
+/**
+ * Rimuove da un tag il prefisso prima della versione
+ * @param {string} tag - Tag della release (es: "v1.2.0", "release-2024.05")
+ * @returns {string} Versione (es: "1.2.0", "2024.05"), il tag invariato se non contiene cifre
+ */
+export const cleanVersion = (tag) => {
+  const value = String(tag).trim();
+  const start = value.search(/\d/);
+  return start === -1 ? value : value.slice(start);
+};
+
+/**
+ * Confronta due identificatori di pre-release (numerici < alfanumerici)
+ * @param {number|string} a
+ * @param {number|string} b
+ * @returns {number} -1, 0 o 1
+ */
+const compareIdentifiers = (a, b) => {
+  const aNumeric = typeof a === 'number';
+  const bNumeric = typeof b === 'number';
+
+  if (aNumeric && !bNumeric) return -1;
+  if (!aNumeric && bNumeric) return 1;
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+};
+
+/**
+ * Confronta due versioni
+ * Le versioni non interpretabili precedono quelle valide e tra loro si confrontano come testo
+ * @param {string} version1 - Prima versione
+ * @param {string} version2 - Seconda versione
+ * @returns {number} -1 se v1 < v2, 0 se uguali, 1 se v1 > v2
+ */
+export const compareVersions = (version1, version2) => {
+  const v1 = parseVersion(version1);
+  const v2 = parseVersion(version2);
+
+  if (!v1 || !v2) {
+    if (v1) return 1;
+    if (v2) return -1;
+    return Math.sign(String(version1 ?? '').localeCompare(String(version2 ?? ''), undefined, { numeric: true }));
+  }
+
+  // 1. Parte numerica (1.2 == 1.2.0)
+  for (let i = 0; i < Math.max(v1.numbers.length, v2.numbers.length); i++) {
+    const a = v1.numbers[i] || 0;
+    const b = v2.numbers[i] || 0;
+
+    if (a > b) return 1;
+    if (a < b) return -1;
+  }
+
+  // 2. Una pre-release precede la versione finale
+  if (v1.prerelease.length === 0 || v2.prerelease.length === 0) {
+    return Math.sign(v2.prerelease.length - v1.prerelease.length);
+  }
+
+  // 3. Identificatori di pre-release uno a uno; a parità, vince la lista più lunga
+  for (let i = 0; i < Math.max(v1.prerelease.length, v2.prerelease.length); i++) {
+    if (v1.prerelease[i] === undefined) return -1;
+    if (v2.prerelease[i] === undefined) return 1;
+
+    const comparison = compareIdentifiers(v1.prerelease[i], v2.prerelease[i]);
+    if (comparison !== 0) return comparison;
+  }
+
+  return 0;
+};
+
+/**
+ * Verifica se una versione è una pre-release (es: "1.2.0-rc.1")
+ * @param {string} version - Versione o tag
+ * @returns {boolean}
+ */
+export const isPrerelease = (version) => {
+  const parsed = parseVersion(version);
+  return Boolean(parsed && parsed.prerelease.length > 0);
+};
+
+/**
+ * Verifica se è disponibile un aggiornamento
+ * @param {string} latestVersion - Versione disponibile
+ * @param {string} installedVersion - Versione installata
+ * @returns {boolean} True se la versione disponibile è più recente di quella installata
+ */
+export const isNewerVersion = (latestVersion, installedVersion) => {
+  if (!latestVersion || !installedVersion) return false;
+  return compareVersions(latestVersion, installedVersion) > 0;
+};
+
+/**
+ * Comparatore di un intervallo di versioni: operatore opzionale, da 1 a 3 componenti
+ * (anche jolly x, X, *) e pre-release opzionale. Es: ">=1.2", "^2.0.0", "1.4.x", "=3.1.0-rc.1"
+ */
+const COMPARATOR_PATTERN = /^(>=|<=|>|<|=|\^|~)?v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?$/;
+
+/**
+ * Converte un comparatore in vincoli elementari {op, version}
+ * @param {string} comparator - Es: "^1.2.0", "1.x", "<2"
+ * @returns {Object|null} {bounds, prerelease} - prerelease: [major, minor, patch] se il comparatore
+ *   indica una pre-release (le pre-release soddisfano solo intervalli che le nominano); null se non valido
+ */
+const parseComparator = (comparator) => {
+  const match = comparator.match(COMPARATOR_PATTERN);
+  if (!match) return null;
+
+  const [, op = '', ...rest] = match;
+  const suffix = rest[3] ? `-${rest[3]}` : '';
+  // Componenti mancanti o jolly: null
+  const parts = rest.slice(0, 3).map((part) => (part === undefined || /^[xX*]$/.test(part) ? null : Number(part)));
+  const specified = parts.indexOf(null) === -1 ? 3 : parts.indexOf(null);
+  const [major, minor, patch] = parts.map((part) => part ?? 0);
+
+  const base = `${major}.${minor}.${patch}${suffix}`;
+  // Versione successiva all'ultimo componente indicato: 1.2 -> 1.3.0, 1 -> 2.0.0
+  const next = (position) => [major, minor, patch]
+    .map((value, i) => (i < position ? value : i === position ? value + 1 : 0))
+    .join('.');
+
+  let bounds;
+  if (op === '^') {
+    // Blocca il primo componente diverso da zero: ^1.2.3 <2.0.0, ^0.2.3 <0.3.0, ^0.0.3 <0.0.4
+    const position = major > 0 || specified === 1 ? 0 : minor > 0 || specified === 2 ? 1 : 2;
+    bounds = [{ op: '>=', version: base }, { op: '<', version: next(position) }];
+  } else if (op === '~') {
+    bounds = [{ op: '>=', version: base }, { op: '<', version: next(specified === 1 ? 0 : 1) }];
+  } else if (op === '' || op === '=') {
+    if (specified === 0) bounds = []; // "*": qualsiasi versione
+    else if (specified < 3) bounds = [{ op: '>=', version: base }, { op: '<', version: next(specified - 1) }];
+    else bounds = [{ op: '=', version: base }];
+  } else if (specified > 0 && specified < 3 && (op === '>' || op === '<=')) {
+    // >1.2 equivale a >=1.3.0, <=1.2 a <1.3.0
+    bounds = [{ op: op === '>' ? '>=' : '<', version: next(specified - 1) }];
+  } else {
+    bounds = specified === 0 ? [] : [{ op, version: base }];
+  }
+
+  return { bounds, prerelease: suffix ? [major, minor, patch] : null };
+};
+
+/**
+ * Scompone un intervallo: alternative separate da "||", ciascuna con comparatori separati da spazi
+ * @param {string} range - Es: ">=1.2.0 <2", "1.4.x || ^2.0.0"
+ * @returns {Array<Array<Object>>|null} Alternative di comparatori (vedi parseComparator) o null se non valido
+ */
+const parseRange = (range) => {
+  if (typeof range !== 'string' || !range.trim()) return null;
+
+  const alternatives = range.split('||').map((alternative) => alternative
+    .trim()
+    .replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1') // ">= 1.2" -> ">=1.2"
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(parseComparator));
+
+  const valid = alternatives.every((comparators) => comparators.length > 0 && comparators.every(Boolean));
+  return valid ? alternatives : null;
+};
+
+/**
+ * Verifica se un intervallo di versioni è valido
+ * @param {string} range - Intervallo (vedi satisfiesRange)
+ * @returns {boolean}
+ */
+export const isValidRange = (range) => parseRange(range) !== null;
+
+/**
+ * Verifica se una versione rientra in un intervallo (sintassi degli intervalli npm)
+ * - versione esatta: "1.2.3"
+ * - jolly o componenti mancanti: "1.2.x", "1.2", "1.*"
+ * - confronti: ">=1.2.0 <2.0.0" (tutti devono valere)
+ * - compatibili: "^1.2.0" (<2.0.0), "~1.2.0" (<1.3.0)
+ * - alternative: "1.4.x || ^2.0.0"
+ * Le pre-release rientrano solo se un comparatore indica una pre-release della stessa versione
+ * @param {string} version - Versione o tag
+ * @param {string} range - Intervallo
+ * @returns {boolean} False anche per versione o intervallo non validi
+ */
+export const satisfiesRange = (version, range) => {
+  const parsed = parseVersion(version);
+  const alternatives = parseRange(range);
+  if (!parsed || !alternatives) return false;
+
+  const core = [0, 1, 2].map((i) => parsed.numbers[i] || 0);
+
+  return alternatives.some((comparators) => {
+    if (parsed.prerelease.length > 0) {
+      const named = comparators.some(({ prerelease }) => prerelease && prerelease.every((value, i) => value === core[i]));
+      if (!named) return false;
+    }
+
+    return comparators.every(({ bounds }) => bounds.every(({ op, version: bound }) => {
+      const comparison = compareVersions(version, bound);
+      if (op === '>=') return comparison >= 0;
+      if (op === '>') return comparison > 0;
+      if (op === '<=') return comparison <= 0;
+      if (op === '<') return comparison < 0;
+      return comparison === 0;
+    }));
+  });
+};
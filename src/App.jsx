@@ -1,42 +1,109 @@
 import { useState, useEffect, useMemo } from 'react';
 import { useAppsData } from './hooks/useAppsData';
+import { useGitHubQuota } from './hooks/useGitHubQuota';
 import Sidebar from './components/Sidebar/Sidebar';
 import TopNav from './components/TopNav/TopNav';
 import FilterBar from './components/FilterBar/FilterBar';
 import Loading from './components/Loading';
 import ErrorMessage from './components/ErrorMessage';
 import AppCardList from './components/AppCardList';
+import CatalogProblems from './components/CatalogProblems/CatalogProblems';
 import LoadingScreen from './components/LoadingScreen/LoadingScreen';
+import SettingsPanel from './components/SettingsPanel/SettingsPanel';
+import { isNewerVersion, satisfiesRange } from '../shared/version';
 import './App.css';
 
+/**
+ * Verifica se un'app ha un aggiornamento consentito dal pin di versione e da un eventuale rollback
+ * app.version è già la release più recente nel pin; il controllo copre la versione
+ * di fallback del catalogo, usata quando le release non sono raggiungibili
+ * @param {Object} app - App arricchita (version, installedVersion, versionPin, isHeldBack)
+ * @returns {boolean}
+ */
+const hasAllowedUpdate = (app) => isNewerVersion(app.version, app.installedVersion)
+  && !app.isHeldBack
+  && (!app.versionPin || satisfiesRange(app.version, app.versionPin.range));
+
 /**
  * Componente principale dell'applicazione - Steam Style
  * Layout a due colonne: Sidebar + Main Content
  */
 function App() {
-  const { data, loading, error, refetch, downloadProgress, installStatus } = useAppsData();
+  const {
+    data,
+    loading,
+    error,
+    refetch,
+    downloadProgress,
+    installStatus,
+    catalogDiagnostics,
+  } = useAppsData();
+  const githubQuota = useGitHubQuota();
 
   // State per UI
   const [activeSection, setActiveSection] = useState('library');
   const [searchQuery, setSearchQuery] = useState('');
   const [activeFilter, setActiveFilter] = useState('all');
+  const [activeSource, setActiveSource] = useState('all');
+  const [activeCategory, setActiveCategory] = useState('all');
+  const [locale, setLocale] = useState('');
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
 
   // State per startup loading
   const [isStartupLoading, setIsStartupLoading] = useState(true);
   const [startupMessage, setStartupMessage] = useState('Initializing...');
 
+  // Cataloghi di provenienza con numero di app
+  const sources = useMemo(() => {
+    const byId = new Map();
+
+    data.forEach(app => {
+      if (!app.sourceId) return;
+      const source = byId.get(app.sourceId) || { id: app.sourceId, name: app.sourceName || app.sourceId, count: 0 };
+      source.count++;
+      byId.set(app.sourceId, source);
+    });
+
+    return Array.from(byId.values());
+  }, [data]);
+
+  // App del catalogo selezionato
+  const sourceApps = useMemo(() => {
+    if (activeSource === 'all') return data;
+    return data.filter(app => app.sourceId === activeSource);
+  }, [data, activeSource]);
+
+  // Categorie presenti nel catalogo selezionato con numero di app
+  const categories = useMemo(() => {
+    const counts = new Map();
+
+    sourceApps.forEach(app => {
+      if (!app.category) return;
+      counts.set(app.category, (counts.get(app.category) || 0) + 1);
+    });
+
+    return Array.from(counts, ([id, count]) => ({ id, count }))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }, [sourceApps]);
+
+  // App della categoria selezionata
+  const categoryApps = useMemo(() => {
+    if (activeCategory === 'all') return sourceApps;
+    return sourceApps.filter(app => app.category === activeCategory);
+  }, [sourceApps, activeCategory]);
+
   // Calcola i conteggi per ogni filtro
   const appCounts = useMemo(() => {
     const counts = {
-      all: data.length,
+      all: categoryApps.length,
       installed: 0,
       updates: 0,
       'not-installed': 0,
     };
 
-    data.forEach(app => {
+    categoryApps.forEach(app => {
       const isInstalled = app.installStatus === 'installed';
-      const hasUpdate = isInstalled && app.installedVersion && app.version !== app.installedVersion;
+      const hasUpdate = isInstalled && hasAllowedUpdate(app);
 
       if (isInstalled) {
         counts.installed++;
@@ -50,13 +117,13 @@ function App() {
     });
 
     return counts;
-  }, [data]);
+  }, [categoryApps]);
 
-  // Filtra le app in base a ricerca e filtro
+  // Filtra le app in base a catalogo, categoria, ricerca e filtro
   const filteredApps = useMemo(() => {
-    let apps = data;
+    let apps = categoryApps;
 
-    // Applica filtro per categoria
+    // Applica filtro per stato
     if (activeFilter === 'installed') {
       apps = apps.filter(app => app.installStatus === 'installed');
     } else if (activeFilter === 'not-installed') {
@@ -64,7 +131,7 @@ function App() {
     } else if (activeFilter === 'updates') {
       apps = apps.filter(app => {
         const isInstalled = app.installStatus === 'installed';
-        const hasUpdate = isInstalled && app.installedVersion && app.version !== app.installedVersion;
+        const hasUpdate = isInstalled && hasAllowedUpdate(app);
         return hasUpdate;
       });
     }
@@ -74,12 +141,45 @@ function App() {
       const query = searchQuery.toLowerCase();
       apps = apps.filter(app =>
         app.name.toLowerCase().includes(query) ||
-        (app.description && app.description.toLowerCase().includes(query))
+        (app.description && app.description.toLowerCase().includes(query)) ||
+        (app.tags && app.tags.some(tag => tag.toLowerCase().includes(query)))
       );
     }
 
     return apps;
-  }, [data, searchQuery, activeFilter]);
+  }, [categoryApps, searchQuery, activeFilter]);
+
+  // Se il catalogo selezionato sparisce (hot-reload), torna a tutti
+  useEffect(() => {
+    if (activeSource !== 'all' && !sources.some(source => source.id === activeSource)) {
+      setActiveSource('all');
+    }
+  }, [sources, activeSource]);
+
+  // Idem per la categoria selezionata
+  useEffect(() => {
+    if (activeCategory !== 'all' && !categories.some(category => category.id === activeCategory)) {
+      setActiveCategory('all');
+    }
+  }, [categories, activeCategory]);
+
+  // Lingua del catalogo salvata nelle impostazioni
+  useEffect(() => {
+    if (!window.electronAPI) return;
+
+    window.electronAPI.getSettings().then((result) => {
+      if (result.success && result.data.locale) {
+        setLocale(result.data.locale);
+      }
+    });
+  }, []);
+
+  // Cambia lingua: il main process risolve i testi del catalogo, quindi ricarica la lista
+  const handleLocaleChange = async (newLocale) => {
+    setLocale(newLocale);
+    await window.electronAPI.updateSettings({ locale: newLocale });
+    refetch();
+  };
 
   // Setup event listeners per startup loading
   useEffect(() => {
@@ -145,6 +245,10 @@ function App() {
         <TopNav
           searchQuery={searchQuery}
           onSearchChange={setSearchQuery}
+          locale={locale}
+          onLocaleChange={window.electronAPI ? handleLocaleChange : undefined}
+          githubQuota={githubQuota}
+          onSettingsClick={window.electronAPI ? () => setIsSettingsOpen(true) : undefined}
         />
 
         {/* Filter Bar */}
@@ -152,6 +256,12 @@ function App() {
           activeFilter={activeFilter}
           onFilterChange={setActiveFilter}
           appCounts={appCounts}
+          sources={sources}
+          activeSource={activeSource}
+          onSourceChange={setActiveSource}
+          categories={categories}
+          activeCategory={activeCategory}
+          onCategoryChange={setActiveCategory}
         />
 
         {/* Main Content */}
@@ -160,6 +270,7 @@ function App() {
           {error && <ErrorMessage message={error} onRetry={refetch} />}
           {!loading && !error && (
             <>
+              <CatalogProblems diagnostics={catalogDiagnostics} />
               {filteredApps.length === 0 ? (
                 <div className="app-empty-state">
                   <i className="fas fa-search app-empty-icon"></i>
@@ -171,6 +282,7 @@ function App() {
                   apps={filteredApps}
                   downloadProgress={downloadProgress}
                   installStatus={installStatus}
+                  showSource={sources.length > 1}
                 />
               )}
             </>
@@ -178,6 +290,9 @@ function App() {
         </main>
       </div>
     </div>
+
+      {/* Impostazioni (token GitHub) */}
+      {isSettingsOpen && <SettingsPanel onClose={() => setIsSettingsOpen(false)} />}
     </>
   );
 }
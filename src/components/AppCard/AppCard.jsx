@@ -2,6 +2,7 @@ import { useState } from 'react';
 import PropTypes from 'prop-types';
 import { formatDate } from '../../utils/dateFormatter';
 import { ARIA_LABELS } from '../../utils/constants';
+import { compareVersions, isNewerVersion } from '../../../shared/version';
 import styles from './AppCard.module.css';
 
 /**
@@ -92,8 +93,7 @@ const AppCard = ({ app, downloadProgress, installStatus }) => {
 
   // Determina se mostrare update disponibile
   const hasUpdate = appInstallStatus === 'installed' &&
-                    installedVersion &&
-                    version !== installedVersion;
+                    isNewerVersion(version, installedVersion);
 
   // Rendering progress bar
   const renderProgress = () => {
@@ -254,7 +254,7 @@ const AppCard = ({ app, downloadProgress, installStatus }) => {
           </span>
           <span className={styles.infoValue}>
             {version}
-            {installedVersion && installedVersion !== version && (
+            {installedVersion && compareVersions(installedVersion, version) !== 0 && (
               <span className={styles.installedVersionText}> (installata: v{installedVersion})</span>
             )}
           </span>
@@ -1,17 +1,41 @@
 import { useMemo, useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
 import PropTypes from 'prop-types';
 import { formatDate } from '../../utils/dateFormatter';
 import { formatBytes, formatSpeed, calculateTimeRemaining } from '../../utils/formatters';
+import { compareVersions, satisfiesRange } from '../../../shared/version';
+import ReleaseNotesPanel from '../ReleaseNotesPanel/ReleaseNotesPanel';
 import './AppCardHorizontal.css';
 
+/**
+ * Valore del selettore canale per un canale di release
+ * @param {Object} channel - {type: 'stable'|'beta'|'tag', tag?}
+ * @returns {string} "stable", "beta" o "tag:<tag>"
+ */
+const channelToValue = (channel) => (channel.type === 'tag' ? `tag:${channel.tag}` : channel.type);
+
+/**
+ * Descrizione di un pin di versione (tooltip del badge)
+ * @param {Object} pin - {range, source: 'policy'|'user', heldBackVersion}
+ * @returns {string}
+ */
+const describeVersionPin = (pin) => {
+  const owner = pin.source === 'policy' ? 'by your administrator' : 'by you';
+  const held = pin.heldBackVersion ? ` v${pin.heldBackVersion} is available but will not be installed.` : '';
+  return `Pinned to ${pin.range} ${owner}.${held}`;
+};
+
 /**
  * AppCardHorizontal - Steam-style horizontal app card
  */
-function AppCardHorizontal({ app, downloadProgress, installStatus }) {
+function AppCardHorizontal({ app, downloadProgress, installStatus, showSource = false }) {
   // Local state per feedback visivo immediato
   const [localInstalling, setLocalInstalling] = useState(false);
   const [localUpdating, setLocalUpdating] = useState(false);
   const [localUninstalling, setLocalUninstalling] = useState(false);
+  const [channelChanging, setChannelChanging] = useState(false);
+  const [releases, setReleases] = useState(null);
+  const [isReleaseNotesOpen, setIsReleaseNotesOpen] = useState(false);
 
   // Reset local state quando operazione completa
   useEffect(() => {
@@ -27,7 +51,13 @@ function AppCardHorizontal({ app, downloadProgress, installStatus }) {
   // Determina lo stato dell'app
   const appState = useMemo(() => {
     const isInstalled = app.installStatus === 'installed';
-    const hasUpdate = app.installedVersion && app.version !== app.installedVersion;
+    // Versione del canale diversa da quella installata: aggiornamento o downgrade (isDowngrade)
+    // Il pin di versione è già applicato ad app.version; l'intervallo copre la versione di fallback.
+    // Dopo un rollback (isHeldBack) le versioni fino a quella abbandonata non sono aggiornamenti
+    const hasUpdate = Boolean(app.installedVersion)
+      && compareVersions(app.version, app.installedVersion) !== 0
+      && !app.isHeldBack
+      && (!app.versionPin || satisfiesRange(app.version, app.versionPin.range));
     const isDownloading = !!downloadProgress;
     const isInstalling = !!installStatus || localInstalling;
     const isUpdating = localUpdating;
@@ -53,6 +83,10 @@ function AppCardHorizontal({ app, downloadProgress, installStatus }) {
       return { label: 'Uninstalling...', icon: 'fa-trash', disabled: true };
     }
     if (hasUpdate) {
+      // Il canale scelto può puntare a una versione precedente a quella installata
+      if (app.isDowngrade) {
+        return { label: 'Downgrade', icon: 'fa-arrow-down', action: 'update' };
+      }
       return { label: 'Update', icon: 'fa-download', action: 'update' };
     }
     if (isInstalled) {
@@ -82,7 +116,9 @@ function AppCardHorizontal({ app, downloadProgress, installStatus }) {
         await window.electronAPI.updateApp(app.id);
       } else if (action === 'uninstall') {
         setLocalUninstalling(true); // Feedback immediato
-        await window.electronAPI.uninstallApp(app.id);
+        const result = await window.electronAPI.uninstallApp(app.id);
+        // Annullata dall'utente (es: app richiesta da altre app installate)
+        if (result && result.canceled) setLocalUninstalling(false);
       } else if (action === 'locate-exe') {
         await window.electronAPI.selectExecutable(app.id);
       }
@@ -95,10 +131,58 @@ function AppCardHorizontal({ app, downloadProgress, installStatus }) {
     }
   };
 
-  const openChangelog = () => {
-    if (app.changelogUrl && window.electronAPI) {
-      // In Electron, apri in browser esterno
-      window.open(app.changelogUrl, '_blank');
+  // Installa una release scelta dallo storico (anche precedente: rollback confermato dal main process)
+  const handleInstallVersion = async (release) => {
+    if (!window.electronAPI) return;
+
+    setIsReleaseNotesOpen(false);
+    const setBusy = appState.isInstalled ? setLocalUpdating : setLocalInstalling;
+    setBusy(true); // Feedback immediato
+
+    try {
+      const result = await window.electronAPI.installAppVersion(app.id, release.tag);
+      if (!result.success) {
+        if (!result.canceled) console.error(`Failed to install ${release.tag} of ${app.id}:`, result.error);
+        setBusy(false);
+      }
+    } catch (error) {
+      console.error(`Failed to install ${release.tag} of ${app.id}:`, error);
+      setBusy(false);
+    }
+  };
+
+  // Release elencate nel selettore canale, caricate alla prima apertura
+  const loadReleases = async () => {
+    if (releases || !window.electronAPI) return;
+
+    const result = await window.electronAPI.getAppReleases(app.id);
+    if (!result.success) {
+      console.warn(`Failed to load releases for ${app.id}:`, result.error);
+    }
+    setReleases(result.success ? result.data : []);
+  };
+
+  const handleChannelChange = async (value) => {
+    if (!window.electronAPI) return;
+
+    const channel = value.startsWith('tag:') ? { type: 'tag', tag: value.slice(4) } : { type: value };
+    setChannelChanging(true);
+
+    let result;
+    try {
+      result = await window.electronAPI.setAppChannel(app.id, channel);
+    } finally {
+      setChannelChanging(false);
+    }
+
+    if (!result.success) {
+      console.error(`Failed to change release channel for ${app.id}:`, result.error);
+      return;
+    }
+
+    // L'utente ha accettato installazione, aggiornamento o downgrade proposti dal main process
+    if (result.data.accepted) {
+      await handleAction(result.data.action === 'install' ? 'install' : 'update');
     }
   };
 
@@ -149,11 +233,40 @@ function AppCardHorizontal({ app, downloadProgress, installStatus }) {
                 <i className="fas fa-check"></i> Installed
               </span>
             )}
-            {appState.hasUpdate && (
-              <span className="app-card-h__badge app-card-h__badge--update">
-                <i className="fas fa-arrow-up"></i> Update Available
+            {app.channel && app.channel.type !== 'stable' && (
+              <span className="app-card-h__badge app-card-h__badge--channel" title="Release channel">
+                {app.channel.type === 'beta'
+                  ? <><i className="fas fa-flask"></i> Beta</>
+                  : <><i className="fas fa-thumbtack"></i> {app.channel.tag}</>}
               </span>
             )}
+            {app.downgradedFrom && (
+              <span className="app-card-h__badge app-card-h__badge--channel" title={`Rolled back from v${app.downgradedFrom}`}>
+                <i className="fas fa-history"></i> Rolled back
+              </span>
+            )}
+            {app.versionPin && !appState.hasUpdate && (
+              <span className="app-card-h__badge app-card-h__badge--pinned" title={describeVersionPin(app.versionPin)}>
+                <i className="fas fa-lock"></i>{' '}
+                {app.versionPin.heldBackVersion
+                  ? `Held at v${app.installedVersion || app.version}`
+                  : `Pinned ${app.versionPin.range}`}
+              </span>
+            )}
+            {appState.hasUpdate && (app.isDowngrade ? (
+              <span className="app-card-h__badge app-card-h__badge--update">
+                <i className="fas fa-arrow-down"></i> Downgrade Available
+              </span>
+            ) : (
+              <button
+                className="app-card-h__badge app-card-h__badge--update app-card-h__badge--action"
+                onClick={() => setIsReleaseNotesOpen(true)}
+                disabled={!window.electronAPI}
+                title="See what's new since your version"
+              >
+                <i className="fas fa-arrow-up"></i> Update Available
+              </button>
+            ))}
           </div>
         </div>
 
@@ -195,6 +308,38 @@ function AppCardHorizontal({ app, downloadProgress, installStatus }) {
               <i className="fas fa-user"></i> {app.developer}
             </span>
           )}
+          {showSource && app.sourceName && (
+            <span className="app-card-h__meta-item" title="Catalog">
+              <i className="fas fa-layer-group"></i> {app.sourceName}
+            </span>
+          )}
+          {app.channel && (
+            <label className="app-card-h__meta-item app-card-h__channel" title="Release channel">
+              <i className="fas fa-stream"></i>
+              <select
+                className="app-card-h__channel-select"
+                value={channelToValue(app.channel)}
+                onFocus={loadReleases}
+                onChange={(e) => handleChannelChange(e.target.value)}
+                disabled={channelChanging || appState.isDownloading || appState.isInstalling
+                  || appState.isUpdating || appState.isUninstalling}
+              >
+                <option value="stable">Stable</option>
+                <option value="beta">Beta</option>
+                <optgroup label="Specific release">
+                  {app.channel.type === 'tag' && !releases?.some((r) => r.tag === app.channel.tag) && (
+                    <option value={channelToValue(app.channel)}>{app.channel.tag}</option>
+                  )}
+                  {releases === null && <option disabled>Loading...</option>}
+                  {releases?.map((release) => (
+                    <option key={release.tag} value={`tag:${release.tag}`}>
+                      {release.tag}{release.prerelease ? ' (pre-release)' : ''}
+                    </option>
+                  ))}
+                </optgroup>
+              </select>
+            </label>
+          )}
         </div>
       </div>
 
@@ -223,13 +368,29 @@ function AppCardHorizontal({ app, downloadProgress, installStatus }) {
           )}
           <button
             className="app-card-h__btn app-card-h__btn--icon"
-            onClick={openChangelog}
-            title="View changelog"
+            onClick={() => setIsReleaseNotesOpen(true)}
+            disabled={!window.electronAPI}
+            title="View release notes"
           >
             <i className="fas fa-book"></i>
           </button>
         </div>
       </div>
+
+      {/* Portal: la card ha un transform in hover che sposterebbe l'overlay fixed */}
+      {isReleaseNotesOpen && createPortal(
+        <ReleaseNotesPanel
+          app={app}
+          showWhatsNew={appState.hasUpdate && !app.isDowngrade}
+          onUpdate={primaryAction.action === 'update' ? () => {
+            setIsReleaseNotesOpen(false);
+            handleAction('update');
+          } : undefined}
+          onInstallVersion={primaryAction.disabled ? undefined : handleInstallVersion}
+          onClose={() => setIsReleaseNotesOpen(false)}
+        />,
+        document.body
+      )}
     </article>
   );
 }
@@ -242,13 +403,30 @@ AppCardHorizontal.propTypes = {
     coverImage: PropTypes.string,
     coverGradient: PropTypes.string,
     version: PropTypes.string.isRequired,
-    lastUpdate: PropTypes.string.isRequired,
+    lastUpdate: PropTypes.string,
     description: PropTypes.string.isRequired,
     developer: PropTypes.string,
     installStatus: PropTypes.string,
     installedVersion: PropTypes.string,
     isRunning: PropTypes.bool,
     changelogUrl: PropTypes.string,
+    sourceId: PropTypes.string,
+    sourceName: PropTypes.string,
+    category: PropTypes.string,
+    tags: PropTypes.arrayOf(PropTypes.string),
+    dependsOn: PropTypes.arrayOf(PropTypes.string),
+    channel: PropTypes.shape({
+      type: PropTypes.oneOf(['stable', 'beta', 'tag']).isRequired,
+      tag: PropTypes.string,
+    }),
+    isDowngrade: PropTypes.bool,
+    downgradedFrom: PropTypes.string,
+    isHeldBack: PropTypes.bool,
+    versionPin: PropTypes.shape({
+      range: PropTypes.string.isRequired,
+      source: PropTypes.oneOf(['policy', 'user']).isRequired,
+      heldBackVersion: PropTypes.string,
+    }),
   }).isRequired,
   downloadProgress: PropTypes.shape({
     appId: PropTypes.string,
@@ -259,6 +437,7 @@ AppCardHorizontal.propTypes = {
     status: PropTypes.string,
     message: PropTypes.string,
   }),
+  showSource: PropTypes.bool,
 };
 
 export default AppCardHorizontal;
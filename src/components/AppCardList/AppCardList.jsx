@@ -7,8 +7,9 @@ import styles from './AppCardList.module.css';
  * @param {Array} apps - Array di oggetti applicativi
  * @param {Object} downloadProgress - Progress data per download in corso
  * @param {Object} installStatus - Status data per installazioni in corso
+ * @param {boolean} showSource - Mostra il catalogo di provenienza sulle card
  */
-const AppCardList = ({ apps, downloadProgress, installStatus }) => {
+const AppCardList = ({ apps, downloadProgress, installStatus, showSource = false }) => {
   if (!apps || apps.length === 0) {
     return (
       <div className={styles.emptyState}>
@@ -30,6 +31,7 @@ const AppCardList = ({ apps, downloadProgress, installStatus }) => {
               app={app}
               downloadProgress={downloadProgress?.[app.id]}
               installStatus={installStatus?.[app.id]}
+              showSource={showSource}
             />
           </li>
         ))}
@@ -45,7 +47,7 @@ AppCardList.propTypes = {
       name: PropTypes.string.isRequired,
       icon: PropTypes.string.isRequired,
       version: PropTypes.string.isRequired,
-      lastUpdate: PropTypes.string.isRequired,
+      lastUpdate: PropTypes.string,
       downloadUrl: PropTypes.string.isRequired,
       changelogUrl: PropTypes.string.isRequired,
       description: PropTypes.string.isRequired,
@@ -53,6 +55,7 @@ AppCardList.propTypes = {
   ).isRequired,
   downloadProgress: PropTypes.object,
   installStatus: PropTypes.object,
+  showSource: PropTypes.bool,
 };
 
 export default AppCardList;
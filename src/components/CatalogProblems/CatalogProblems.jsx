@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import './CatalogProblems.css';
+
+/**
+ * CatalogProblems - Pannello con i problemi rilevati nel catalogo (apps.json)
+ */
+function CatalogProblems({ diagnostics }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  if (!diagnostics) return null;
+
+  const { issues = [], sources = [], signature = null } = diagnostics;
+  const errorCount = issues.filter((issue) => issue.severity === 'error').length;
+  const failedSources = sources.filter((source) => source.error);
+  const rejectedCount = failedSources.filter((source) => source.rejected).length;
+  const sourceNames = Object.fromEntries(sources.map((source) => [source.id, source.name]));
+
+  // Senza chiavi fidate i cataloghi configurati non sono verificati (il catalogo incluso è fidato)
+  const signatureWarnings = signature ? [...signature.errors] : [];
+  if (signature && !signature.enabled && sources.some((source) => source.id !== 'bundled')) {
+    signatureWarnings.push('Catalog signatures are not verified: no trusted signing key is configured');
+  }
+  const warningCount = issues.length - errorCount + signatureWarnings.length;
+
+  if (issues.length === 0 && failedSources.length === 0 && signatureWarnings.length === 0) return null;
+
+  return (
+    <section className="catalog-problems" role="status">
+      <button
+        className="catalog-problems__header"
+        onClick={() => setIsExpanded(!isExpanded)}
+        aria-expanded={isExpanded}
+      >
+        <i className="fas fa-exclamation-triangle catalog-problems__icon"></i>
+        <span className="catalog-problems__title">Catalog problems</span>
+        {errorCount > 0 && (
+          <span className="catalog-problems__count catalog-problems__count--error">
+            {errorCount} skipped
+          </span>
+        )}
+        {rejectedCount > 0 && (
+          <span className="catalog-problems__count catalog-problems__count--error">
+            {rejectedCount} rejected
+          </span>
+        )}
+        {failedSources.length > rejectedCount && (
+          <span className="catalog-problems__count catalog-problems__count--error">
+            {failedSources.length - rejectedCount} unavailable
+          </span>
+        )}
+        {warningCount > 0 && (
+          <span className="catalog-problems__count catalog-problems__count--warning">
+            {warningCount} warnings
+          </span>
+        )}
+        <i className={`fas fa-chevron-${isExpanded ? 'up' : 'down'} catalog-problems__toggle`}></i>
+      </button>
+
+      {isExpanded && (
+        <div className="catalog-problems__body">
+          {failedSources.map((source) => (
+            <p key={source.id} className="catalog-problems__source-error">
+              <i className={`fas ${source.rejected ? 'fa-shield-alt' : 'fa-plug'}`}></i>{' '}
+              {source.name} {source.rejected ? 'rejected' : 'unavailable'}: {source.error}
+              {source.origin === 'cache'
+                ? ` (using ${source.verified ? 'verified ' : ''}copy from ${source.fetchedAt})`
+                : source.rejected && ' (no verified copy: its apps are not shown)'}
+            </p>
+          ))}
+          {signatureWarnings.map((message) => (
+            <p key={message} className="catalog-problems__source-error catalog-problems__source-error--warning">
+              <i className="fas fa-shield-alt"></i> {message}
+            </p>
+          ))}
+          <ul className="catalog-problems__list">
+            {issues.map((issue, index) => (
+              <li
+                key={`${issue.index}-${issue.field}-${index}`}
+                className={`catalog-problems__item catalog-problems__item--${issue.severity}`}
+              >
+                <span className="catalog-problems__entry">{issue.appId || `#${issue.index}`}</span>
+                {sources.length > 1 && (
+                  <span className="catalog-problems__source">{sourceNames[issue.sourceId]}</span>
+                )}
+                <span className="catalog-problems__message">{issue.message}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </section>
+  );
+}
+
+CatalogProblems.propTypes = {
+  diagnostics: PropTypes.shape({
+    sources: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        name: PropTypes.string.isRequired,
+        origin: PropTypes.string,
+        fetchedAt: PropTypes.string,
+        error: PropTypes.string,
+        rejected: PropTypes.bool,
+      })
+    ),
+    signature: PropTypes.shape({
+      enabled: PropTypes.bool.isRequired,
+      keyCount: PropTypes.number,
+      errors: PropTypes.arrayOf(PropTypes.string).isRequired,
+    }),
+    issues: PropTypes.arrayOf(
+      PropTypes.shape({
+        index: PropTypes.number,
+        appId: PropTypes.string,
+        sourceId: PropTypes.string,
+        field: PropTypes.string,
+        severity: PropTypes.oneOf(['error', 'warning']).isRequired,
+        message: PropTypes.string.isRequired,
+      })
+    ),
+  }),
+};
+
+export default CatalogProblems;
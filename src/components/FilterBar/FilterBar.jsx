@@ -1,10 +1,32 @@
 import PropTypes from 'prop-types';
 import './FilterBar.css';
 
+/**
+ * Etichetta leggibile di una categoria (es: "shipment-tools" -> "Shipment Tools")
+ * @param {string} id - Slug della categoria
+ * @returns {string}
+ */
+function formatCategory(id) {
+  return id
+    .split('-')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
 /**
  * FilterBar - Steam-style filter tabs
  */
-function FilterBar({ activeFilter, onFilterChange, appCounts }) {
+function FilterBar({
+  activeFilter,
+  onFilterChange,
+  appCounts,
+  sources = [],
+  activeSource = 'all',
+  onSourceChange,
+  categories = [],
+  activeCategory = 'all',
+  onCategoryChange,
+}) {
   const filters = [
     { id: 'all', label: 'All Games', icon: 'fas fa-th-large' },
     { id: 'installed', label: 'Installed', icon: 'fas fa-check-circle' },
@@ -29,6 +51,48 @@ function FilterBar({ activeFilter, onFilterChange, appCounts }) {
           </button>
         ))}
       </div>
+
+      {/* Filtro per catalogo di provenienza (solo con più sorgenti) */}
+      {sources.length > 1 && (
+        <div className="filter-bar__source">
+          <i className="fas fa-layer-group"></i>
+          <select
+            className="filter-bar__source-select"
+            value={activeSource}
+            onChange={(e) => onSourceChange(e.target.value)}
+            aria-label="Filter by catalog"
+          >
+            <option value="all">All catalogs</option>
+            {sources.map((source) => (
+              <option key={source.id} value={source.id}>
+                {source.name} ({source.count})
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {/* Chip categorie generate dal catalogo */}
+      {categories.length > 0 && (
+        <div className="filter-bar__categories">
+          <button
+            className={`filter-bar__chip ${activeCategory === 'all' ? 'filter-bar__chip--active' : ''}`}
+            onClick={() => onCategoryChange('all')}
+          >
+            All
+          </button>
+          {categories.map((category) => (
+            <button
+              key={category.id}
+              className={`filter-bar__chip ${activeCategory === category.id ? 'filter-bar__chip--active' : ''}`}
+              onClick={() => onCategoryChange(category.id)}
+            >
+              {formatCategory(category.id)}
+              <span className="filter-bar__chip-count">{category.count}</span>
+            </button>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
@@ -42,6 +106,23 @@ FilterBar.propTypes = {
     updates: PropTypes.number,
     'not-installed': PropTypes.number,
   }).isRequired,
+  sources: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      count: PropTypes.number.isRequired,
+    })
+  ),
+  activeSource: PropTypes.string,
+  onSourceChange: PropTypes.func,
+  categories: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      count: PropTypes.number.isRequired,
+    })
+  ),
+  activeCategory: PropTypes.string,
+  onCategoryChange: PropTypes.func,
 };
 
 export default FilterBar;
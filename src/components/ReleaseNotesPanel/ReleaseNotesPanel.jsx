@@ -0,0 +1,472 @@
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { formatDate } from '../../utils/dateFormatter';
+import { renderMarkdown } from '../../utils/markdown';
+import { compareVersions } from '../../../shared/version';
+import './ReleaseNotesPanel.css';
+
+/**
+ * Release caricate per pagina
+ */
+const PAGE_SIZE = 10;
+
+/**
+ * Apre un link nel browser di sistema
+ * @param {string} href - Attributo href (anche relativo)
+ * @param {string|null} baseUrl - Pagina della release, per risolvere i link relativi
+ */
+const openLink = (href, baseUrl) => {
+  let url;
+  try {
+    url = new URL(href, baseUrl || undefined).toString();
+  } catch {
+    return; // Link relativo senza pagina della release
+  }
+  window.electronAPI.openExternal(url);
+};
+
+/**
+ * Note di una release in Markdown sanificato
+ * I link non navigano nella finestra: si aprono nel browser
+ */
+function ReleaseMarkdown({ release }) {
+  const html = useMemo(() => renderMarkdown(release.body), [release.body]);
+
+  const handleClick = (e) => {
+    const link = e.target.closest('a[href]');
+    if (!link) return;
+
+    e.preventDefault();
+    openLink(link.getAttribute('href'), release.htmlUrl);
+  };
+
+  if (!html) {
+    return <p className="release-notes__hint">This release has no notes.</p>;
+  }
+
+  return (
+    <div
+      className="release-notes__markdown"
+      onClick={handleClick}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+}
+
+ReleaseMarkdown.propTypes = {
+  release: PropTypes.shape({
+    body: PropTypes.string,
+    htmlUrl: PropTypes.string,
+  }).isRequired,
+};
+
+/**
+ * Intestazione di una release (titolo, tag, data, link alla pagina)
+ */
+function ReleaseHeader({ release }) {
+  return (
+    <header className="release-notes__release-header">
+      <div>
+        <h3 className="release-notes__release-title">{release.name || release.tag}</h3>
+        <span className="release-notes__item-date">
+          {release.tag} · {formatDate(release.publishedAt)}
+        </span>
+      </div>
+      {release.htmlUrl && (
+        <button
+          className="release-notes__external"
+          onClick={() => openLink(release.htmlUrl)}
+          title="Open the release page in the browser"
+        >
+          <i className="fas fa-external-link-alt"></i> Open in browser
+        </button>
+      )}
+    </header>
+  );
+}
+
+ReleaseHeader.propTypes = {
+  release: PropTypes.shape({
+    tag: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    publishedAt: PropTypes.string,
+    htmlUrl: PropTypes.string,
+  }).isRequired,
+};
+
+/**
+ * Novità dalla versione installata: note di tutte le release fino alla latest, dalla più recente
+ */
+function WhatsNew({ app, onUpdate }) {
+  const [changelog, setChangelog] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    window.electronAPI.getChangelogSince(app.id).then((result) => {
+      if (cancelled) return;
+      if (result.success) {
+        setChangelog(result.data);
+      } else {
+        setError(result.error);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [app.id]);
+
+  if (error) {
+    return (
+      <p className="release-notes__error">
+        <i className="fas fa-exclamation-triangle"></i> Failed to load the changelog: {error}
+      </p>
+    );
+  }
+
+  if (!changelog) {
+    return (
+      <p className="release-notes__hint">
+        <i className="fas fa-spinner fa-spin"></i> Loading changes...
+      </p>
+    );
+  }
+
+  const count = changelog.releases.length;
+
+  return (
+    <>
+      <div className="release-notes__summary">
+        <span>
+          {count === 0
+            ? `No release notes between v${changelog.installedVersion} and v${changelog.latestVersion}.`
+            : `${count} ${count === 1 ? 'release' : 'releases'} since your version (v${changelog.installedVersion} → v${changelog.latestVersion})`}
+        </span>
+        {onUpdate && (
+          <button className="release-notes__update" onClick={onUpdate}>
+            <i className="fas fa-download"></i> Update to v{changelog.latestVersion}
+          </button>
+        )}
+      </div>
+
+      {changelog.releases.map((release) => (
+        <article key={release.tag} className="release-notes__entry">
+          <ReleaseHeader release={release} />
+          <ReleaseMarkdown release={release} />
+        </article>
+      ))}
+
+      {!changelog.complete && (
+        <p className="release-notes__hint">
+          Older releases were not loaded: see All releases for the full history.
+        </p>
+      )}
+    </>
+  );
+}
+
+WhatsNew.propTypes = {
+  app: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+  }).isRequired,
+  onUpdate: PropTypes.func,
+};
+
+/**
+ * Azione di installazione di una release rispetto alla versione installata
+ * @param {Object} release - Release normalizzata
+ * @param {string|null} installedVersion - Versione installata
+ * @returns {Object|null} {label, icon} o null se è la versione installata
+ */
+const getInstallAction = (release, installedVersion) => {
+  if (!installedVersion) return { label: `Install v${release.version}`, icon: 'fa-download' };
+
+  const comparison = compareVersions(release.version, installedVersion);
+  if (comparison === 0) return null;
+  return comparison < 0
+    ? { label: `Roll back to v${release.version}`, icon: 'fa-history' }
+    : { label: `Install v${release.version}`, icon: 'fa-download' };
+};
+
+/**
+ * Storico delle release: elenco con date a sinistra, note della release scelta a destra
+ * Con onInstallVersion ogni release può essere installata (anche precedente: rollback)
+ */
+function ReleaseHistory({ app, onInstallVersion }) {
+  const [releases, setReleases] = useState([]);
+  const [selectedTag, setSelectedTag] = useState(null);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+
+    window.electronAPI.getAppReleases(app.id, { limit: PAGE_SIZE, page }).then((result) => {
+      if (cancelled) return;
+
+      if (result.success) {
+        setReleases((current) => [...current, ...result.data]);
+        setSelectedTag((current) => current || result.data[0]?.tag || null);
+        setHasMore(result.data.length === PAGE_SIZE);
+      } else {
+        setError(result.error);
+        setHasMore(false);
+      }
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [app.id, page]);
+
+  const selected = releases.find((release) => release.tag === selectedTag) || null;
+  const installAction = selected && onInstallVersion ? getInstallAction(selected, app.installedVersion) : null;
+
+  const isInstalled = (release) => Boolean(app.installedVersion)
+    && compareVersions(release.version, app.installedVersion) === 0;
+
+  return (
+    <div className="release-notes__body">
+      <nav className="release-notes__list" aria-label="Releases">
+        {releases.map((release) => (
+          <button
+            key={release.tag}
+            className={`release-notes__item ${release.tag === selectedTag ? 'release-notes__item--active' : ''}`}
+            onClick={() => setSelectedTag(release.tag)}
+          >
+            <span className="release-notes__item-version">
+              v{release.version}
+              {release.prerelease && <span className="release-notes__tag">Pre-release</span>}
+              {isInstalled(release) && <span className="release-notes__tag release-notes__tag--installed">Installed</span>}
+            </span>
+            <span className="release-notes__item-date">{formatDate(release.publishedAt)}</span>
+          </button>
+        ))}
+
+        {loading && (
+          <p className="release-notes__hint">
+            <i className="fas fa-spinner fa-spin"></i> Loading releases...
+          </p>
+        )}
+        {!loading && hasMore && (
+          <button className="release-notes__more" onClick={() => setPage(page + 1)}>
+            Load older releases
+          </button>
+        )}
+      </nav>
+
+      <div className="release-notes__content">
+        {error && (
+          <p className="release-notes__error">
+            <i className="fas fa-exclamation-triangle"></i> Failed to load releases: {error}
+          </p>
+        )}
+        {!loading && !error && releases.length === 0 && (
+          <p className="release-notes__hint">No releases published yet.</p>
+        )}
+
+        {selected && (
+          <article>
+            <ReleaseHeader release={selected} />
+            {installAction && (
+              <button
+                className="release-notes__install"
+                onClick={() => onInstallVersion(selected)}
+                title="Install this release through the normal download and install process"
+              >
+                <i className={`fas ${installAction.icon}`}></i> {installAction.label}
+              </button>
+            )}
+            <ReleaseMarkdown release={selected} />
+          </article>
+        )}
+
+        {(error || (!loading && releases.length === 0)) && app.changelogUrl && (
+          <button className="release-notes__external" onClick={() => openLink(app.changelogUrl)}>
+            <i className="fas fa-external-link-alt"></i> Open changelog in browser
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+ReleaseHistory.propTypes = {
+  app: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    installedVersion: PropTypes.string,
+    changelogUrl: PropTypes.string,
+  }).isRequired,
+  onInstallVersion: PropTypes.func,
+};
+
+/**
+ * Pin di versione: l'app resta sulle release dell'intervallo (es: "1.4.x", "^2.0.0")
+ * Un pin definito dal catalogo (policy) non è modificabile dall'utente
+ */
+function VersionPinBar({ app }) {
+  const pin = app.versionPin;
+  const [range, setRange] = useState(pin?.range || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Riallinea il campo dopo il salvataggio (la card riceve il nuovo pin)
+  useEffect(() => {
+    setRange(pin?.range || '');
+  }, [pin?.range]);
+
+  if (pin?.source === 'policy') {
+    return (
+      <div className="release-notes__pin">
+        <i className="fas fa-lock"></i> Pinned to {pin.range} by your administrator
+      </div>
+    );
+  }
+
+  const savePin = async (value) => {
+    setSaving(true);
+    setError(null);
+
+    const result = await window.electronAPI.setVersionPin(app.id, value);
+    if (!result.success) {
+      setError(result.error);
+    }
+    setSaving(false);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    savePin(range.trim());
+  };
+
+  return (
+    <form className="release-notes__pin" onSubmit={handleSubmit}>
+      <label htmlFor={`version-pin-${app.id}`}>
+        <i className="fas fa-lock"></i> Version pin
+      </label>
+      <input
+        id={`version-pin-${app.id}`}
+        className="release-notes__pin-input"
+        value={range}
+        onChange={(e) => setRange(e.target.value)}
+        placeholder="e.g. 1.4.x, ^2.0.0, <3.0.0"
+        spellCheck={false}
+        disabled={saving}
+      />
+      <button
+        type="submit"
+        className="release-notes__external"
+        disabled={saving || !range.trim() || range.trim() === pin?.range}
+        title="Only install releases in this range"
+      >
+        {pin ? 'Change pin' : 'Pin'}
+      </button>
+      {pin && (
+        <button type="button" className="release-notes__external" onClick={() => savePin(null)} disabled={saving}>
+          Remove pin
+        </button>
+      )}
+      {error && <span className="release-notes__pin-error">{error}</span>}
+    </form>
+  );
+}
+
+VersionPinBar.propTypes = {
+  app: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    versionPin: PropTypes.shape({
+      range: PropTypes.string.isRequired,
+      source: PropTypes.oneOf(['policy', 'user']).isRequired,
+    }),
+  }).isRequired,
+};
+
+/**
+ * ReleaseNotesPanel - Note di rilascio di un'app (Markdown sanificato)
+ * Con un aggiornamento disponibile si apre sulle novità dalla versione installata
+ */
+function ReleaseNotesPanel({ app, showWhatsNew = false, onUpdate, onInstallVersion, onClose }) {
+  const [view, setView] = useState(showWhatsNew ? 'whats-new' : 'history');
+
+  // Chiudi con Esc
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="release-notes__overlay" onClick={onClose}>
+      <div
+        className="release-notes"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="release-notes-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="release-notes__header">
+          <h2 id="release-notes-title" className="release-notes__title">
+            <i className="fas fa-book"></i> {app.name} release notes
+          </h2>
+          <button className="release-notes__close" onClick={onClose} title="Close" aria-label="Close">
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        {showWhatsNew && (
+          <div className="release-notes__tabs" role="tablist">
+            <button
+              role="tab"
+              aria-selected={view === 'whats-new'}
+              className={`release-notes__tab ${view === 'whats-new' ? 'release-notes__tab--active' : ''}`}
+              onClick={() => setView('whats-new')}
+            >
+              What&apos;s new since v{app.installedVersion}
+            </button>
+            <button
+              role="tab"
+              aria-selected={view === 'history'}
+              className={`release-notes__tab ${view === 'history' ? 'release-notes__tab--active' : ''}`}
+              onClick={() => setView('history')}
+            >
+              All releases
+            </button>
+          </div>
+        )}
+
+        <VersionPinBar app={app} />
+
+        {view === 'whats-new' ? (
+          <div className="release-notes__content">
+            <WhatsNew app={app} onUpdate={onUpdate} />
+          </div>
+        ) : (
+          <ReleaseHistory app={app} onInstallVersion={onInstallVersion} />
+        )}
+      </div>
+    </div>
+  );
+}
+
+ReleaseNotesPanel.propTypes = {
+  app: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    installedVersion: PropTypes.string,
+    changelogUrl: PropTypes.string,
+  }).isRequired,
+  showWhatsNew: PropTypes.bool,
+  onUpdate: PropTypes.func,
+  onInstallVersion: PropTypes.func,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default ReleaseNotesPanel;
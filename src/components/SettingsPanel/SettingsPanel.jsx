@@ -0,0 +1,428 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import './SettingsPanel.css';
+
+/**
+ * Descrizione della provenienza del token GitHub
+ * @param {Object} status - {configured, source}
+ * @returns {string}
+ */
+const describeTokenSource = (status) => {
+  if (status.source === 'settings') return 'A token is stored securely on this computer.';
+  if (status.source === 'env') return 'Using the token from the GITHUB_TOKEN environment variable.';
+  return 'No token configured: GitHub allows 60 requests per hour.';
+};
+
+/**
+ * Modalità del proxy selezionabili
+ */
+const PROXY_MODES = [
+  { id: 'auto', label: 'Automatic (environment variables, then system)' },
+  { id: 'system', label: 'System proxy settings' },
+  { id: 'manual', label: 'Manual' },
+  { id: 'none', label: 'No proxy' },
+];
+
+/**
+ * Sorgenti delle CA attendibili selezionabili
+ */
+const CA_SOURCES = [
+  { id: 'default', label: 'Built-in certificates only' },
+  { id: 'file', label: 'Built-in plus a PEM bundle file' },
+  { id: 'system', label: 'Built-in plus the system certificate store' },
+];
+
+/**
+ * Descrizione delle CA in uso
+ * @param {Object} status - {source, path, count, error}
+ * @returns {string}
+ */
+const describeCertificateStatus = (status) => {
+  if (status.source === 'env') return `Using extra certificates from NODE_EXTRA_CA_CERTS (${status.path}).`;
+  if (status.source === 'default') return 'Only the certificate authorities built into the app are trusted.';
+
+  const origin = status.source === 'file' ? status.path : 'the system store';
+  return status.count === null
+    ? `Extra certificates are loaded from ${origin} on the next request.`
+    : `${status.count} extra certificates trusted from ${origin}.`;
+};
+
+/**
+ * Stato di un'operazione IPC della finestra (in corso ed esito)
+ * @returns {Object} {busy, message, run} - run(operation, onSuccess): operation restituisce
+ *   {success, data, error}, onSuccess riceve data e restituisce il messaggio {type, text}
+ */
+const useOperation = () => {
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const run = async (operation, onSuccess) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const result = await operation();
+      setMessage(result.success ? onSuccess(result.data) : { type: 'error', text: result.error });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return { busy, message, run };
+};
+
+/**
+ * Messaggio di esito di una sezione
+ */
+function OperationMessage({ message }) {
+  if (!message) return null;
+
+  return (
+    <p className={`settings-panel__message settings-panel__message--${message.type}`} role="status">
+      {message.text}
+    </p>
+  );
+}
+
+OperationMessage.propTypes = {
+  message: PropTypes.shape({
+    type: PropTypes.oneOf(['success', 'error']).isRequired,
+    text: PropTypes.string.isRequired,
+  }),
+};
+
+/**
+ * Sezione token GitHub
+ * Il token inserito viene inviato al main process, che lo cifra: non viene mai riletto dal renderer
+ */
+function GitHubTokenSection() {
+  const [tokenStatus, setTokenStatus] = useState(null);
+  const [tokenInput, setTokenInput] = useState('');
+  const { busy, message, run } = useOperation();
+
+  useEffect(() => {
+    window.electronAPI.getGitHubTokenStatus().then((result) => {
+      if (result.success) setTokenStatus(result.data);
+    });
+  }, []);
+
+  const handleTest = () => run(
+    () => window.electronAPI.testGitHubToken(tokenInput.trim() || undefined),
+    (data) => (data.valid
+      ? { type: 'success', text: `Token valid for ${data.login}${data.rateLimit ? ` (${data.rateLimit} requests/hour)` : ''}.` }
+      : { type: 'error', text: `Token rejected by GitHub: ${data.error}` })
+  );
+
+  const handleSave = () => run(
+    () => window.electronAPI.setGitHubToken(tokenInput),
+    (data) => {
+      setTokenStatus(data);
+      setTokenInput('');
+      return { type: 'success', text: 'Token saved. It is used from the next GitHub request.' };
+    }
+  );
+
+  const handleRemove = () => run(
+    () => window.electronAPI.clearGitHubToken(),
+    (data) => {
+      setTokenStatus(data);
+      return { type: 'success', text: 'Stored token removed.' };
+    }
+  );
+
+  return (
+    <section className="settings-panel__section">
+      <h3 className="settings-panel__section-title">
+        <i className="fab fa-github"></i> GitHub access token
+      </h3>
+
+      {tokenStatus && (
+        <p className="settings-panel__status">{describeTokenSource(tokenStatus)}</p>
+      )}
+      {tokenStatus && !tokenStatus.encryptionAvailable && (
+        <p className="settings-panel__message settings-panel__message--error">
+          Secure storage is not available on this system, so the token cannot be saved.
+        </p>
+      )}
+
+      <input
+        type="password"
+        className="settings-panel__input"
+        value={tokenInput}
+        onChange={(e) => setTokenInput(e.target.value)}
+        placeholder="ghp_… or github_pat_…"
+        autoComplete="off"
+        spellCheck={false}
+        aria-label="GitHub personal access token"
+      />
+
+      <div className="settings-panel__actions">
+        <button
+          className="settings-panel__btn"
+          onClick={handleTest}
+          disabled={busy || (!tokenInput.trim() && !tokenStatus?.configured)}
+          title={tokenInput.trim() ? 'Test the entered token' : 'Test the token in use'}
+        >
+          <i className="fas fa-vial"></i> Test
+        </button>
+        <button
+          className="settings-panel__btn settings-panel__btn--primary"
+          onClick={handleSave}
+          disabled={busy || !tokenInput.trim() || !tokenStatus?.encryptionAvailable}
+        >
+          <i className="fas fa-lock"></i> Save
+        </button>
+        {tokenStatus?.source === 'settings' && (
+          <button className="settings-panel__btn settings-panel__btn--danger" onClick={handleRemove} disabled={busy}>
+            <i className="fas fa-trash"></i> Remove
+          </button>
+        )}
+      </div>
+
+      <OperationMessage message={message} />
+    </section>
+  );
+}
+
+/**
+ * Sezione proxy di rete (usato da tutte le richieste del main process)
+ */
+function ProxySection() {
+  const [config, setConfig] = useState(null);
+  const [password, setPassword] = useState('');
+  const { busy, message, run } = useOperation();
+
+  useEffect(() => {
+    window.electronAPI.getProxyConfig().then((result) => {
+      if (result.success) setConfig(result.data);
+    });
+  }, []);
+
+  if (!config) return null;
+
+  const updateField = (field) => (e) => setConfig({ ...config, [field]: e.target.value });
+
+  const handleSave = () => run(
+    () => window.electronAPI.setProxyConfig({
+      mode: config.mode,
+      proxyUrl: config.proxyUrl,
+      proxyBypass: config.proxyBypass,
+      proxyUsername: config.proxyUsername,
+      // Campo vuoto: password invariata (rimossa insieme al nome utente)
+      password: password || (config.proxyUsername ? undefined : ''),
+    }),
+    (data) => {
+      setConfig(data);
+      setPassword('');
+      return { type: 'success', text: 'Proxy settings saved.' };
+    }
+  );
+
+  const handleTest = () => run(
+    () => window.electronAPI.testProxy(),
+    (data) => ({
+      type: 'success',
+      text: data.proxy ? `GitHub reachable through ${data.proxy} (${data.source}).` : 'GitHub reachable with a direct connection.',
+    })
+  );
+
+  return (
+    <section className="settings-panel__section">
+      <h3 className="settings-panel__section-title">
+        <i className="fas fa-network-wired"></i> Network proxy
+      </h3>
+
+      <select
+        className="settings-panel__input"
+        value={config.mode}
+        onChange={updateField('mode')}
+        aria-label="Proxy mode"
+      >
+        {PROXY_MODES.map((mode) => (
+          <option key={mode.id} value={mode.id}>{mode.label}</option>
+        ))}
+      </select>
+
+      {config.mode === 'auto' && (
+        <p className="settings-panel__status">
+          {config.envProxy ? `Environment proxy: ${config.envProxy}` : 'No HTTPS_PROXY variable set: the system proxy is used.'}
+        </p>
+      )}
+
+      {config.mode === 'manual' && (
+        <>
+          <input
+            className="settings-panel__input"
+            value={config.proxyUrl}
+            onChange={updateField('proxyUrl')}
+            placeholder="http://proxy.example.com:8080"
+            spellCheck={false}
+            aria-label="Proxy URL"
+          />
+          <input
+            className="settings-panel__input"
+            value={config.proxyBypass}
+            onChange={updateField('proxyBypass')}
+            placeholder="Bypass: localhost, .intranet.example.com"
+            spellCheck={false}
+            aria-label="Hosts that bypass the proxy"
+          />
+        </>
+      )}
+
+      {config.mode !== 'none' && (
+        <div className="settings-panel__row">
+          <input
+            className="settings-panel__input"
+            value={config.proxyUsername}
+            onChange={updateField('proxyUsername')}
+            placeholder="Proxy username (optional)"
+            autoComplete="off"
+            spellCheck={false}
+            aria-label="Proxy username"
+          />
+          <input
+            type="password"
+            className="settings-panel__input"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder={config.hasPassword ? 'Password saved' : 'Proxy password'}
+            autoComplete="off"
+            aria-label="Proxy password"
+          />
+        </div>
+      )}
+
+      <div className="settings-panel__actions">
+        <button className="settings-panel__btn" onClick={handleTest} disabled={busy} title="Test the saved settings">
+          <i className="fas fa-plug"></i> Test
+        </button>
+        <button className="settings-panel__btn settings-panel__btn--primary" onClick={handleSave} disabled={busy}>
+          <i className="fas fa-save"></i> Save
+        </button>
+      </div>
+
+      <OperationMessage message={message} />
+    </section>
+  );
+}
+
+/**
+ * Sezione certificati CA (reti che ispezionano il traffico TLS)
+ */
+function CertificatesSection() {
+  const [status, setStatus] = useState(null);
+  const [source, setSource] = useState('default');
+  const [bundlePath, setBundlePath] = useState('');
+  const { busy, message, run } = useOperation();
+
+  useEffect(() => {
+    window.electronAPI.getCertificateStatus().then((result) => {
+      if (!result.success) return;
+      setStatus(result.data);
+      setSource(result.data.source === 'env' ? 'default' : result.data.source);
+      setBundlePath(result.data.path && result.data.source === 'file' ? result.data.path : '');
+    });
+  }, []);
+
+  if (!status) return null;
+
+  const handleSave = () => run(
+    () => window.electronAPI.setCertificateConfig({ source, path: bundlePath }),
+    (data) => {
+      setStatus(data);
+      return data.error
+        ? { type: 'error', text: `Certificates not loaded: ${data.error}` }
+        : { type: 'success', text: 'Certificate settings saved.' };
+    }
+  );
+
+  return (
+    <section className="settings-panel__section">
+      <h3 className="settings-panel__section-title">
+        <i className="fas fa-certificate"></i> Trusted certificates
+      </h3>
+
+      <p className="settings-panel__status">{describeCertificateStatus(status)}</p>
+      {status.error && (
+        <p className="settings-panel__message settings-panel__message--error">{status.error}</p>
+      )}
+
+      <select
+        className="settings-panel__input"
+        value={source}
+        onChange={(e) => setSource(e.target.value)}
+        aria-label="Certificate source"
+      >
+        {CA_SOURCES.map((option) => (
+          <option key={option.id} value={option.id}>{option.label}</option>
+        ))}
+      </select>
+
+      {source === 'file' && (
+        <input
+          className="settings-panel__input"
+          value={bundlePath}
+          onChange={(e) => setBundlePath(e.target.value)}
+          placeholder="Path to a PEM file, e.g. C:\certs\corporate-ca.pem"
+          spellCheck={false}
+          aria-label="PEM bundle path"
+        />
+      )}
+
+      <div className="settings-panel__actions">
+        <button
+          className="settings-panel__btn settings-panel__btn--primary"
+          onClick={handleSave}
+          disabled={busy || (source === 'file' && !bundlePath.trim())}
+        >
+          <i className="fas fa-save"></i> Save
+        </button>
+      </div>
+
+      <OperationMessage message={message} />
+    </section>
+  );
+}
+
+/**
+ * SettingsPanel - Finestra impostazioni (token GitHub, proxy, certificati)
+ */
+function SettingsPanel({ onClose }) {
+  // Chiudi con Esc
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="settings-panel__overlay" onClick={onClose}>
+      <div
+        className="settings-panel"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="settings-panel-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="settings-panel__header">
+          <h2 id="settings-panel-title" className="settings-panel__title">Settings</h2>
+          <button className="settings-panel__close" onClick={onClose} title="Close" aria-label="Close">
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        <GitHubTokenSection />
+        <ProxySection />
+        <CertificatesSection />
+      </div>
+    </div>
+  );
+}
+
+SettingsPanel.propTypes = {
+  onClose: PropTypes.func.isRequired,
+};
+
+export default SettingsPanel;
@@ -1,10 +1,35 @@
 import SearchBar from '../SearchBar/SearchBar';
 import './TopNav.css';
 
+/**
+ * Lingue disponibili per i testi del catalogo ('' = lingua di sistema)
+ */
+const LOCALES = [
+  { id: '', label: 'Auto' },
+  { id: 'it', label: 'Italiano' },
+  { id: 'en', label: 'English' },
+];
+
+/**
+ * Sotto questa frazione di quota residua il badge viene evidenziato
+ */
+const LOW_QUOTA_RATIO = 0.1;
+
+/**
+ * Testo del badge quota (es: "GitHub quota: 12/60, resets 14:05")
+ * @param {Object} quota - {host, limit, remaining, reset}
+ * @returns {string}
+ */
+const formatQuota = (quota) => {
+  const label = quota.host === 'github.com' ? 'GitHub' : quota.host;
+  const reset = new Date(quota.reset).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return `${label} quota: ${quota.remaining}/${quota.limit}, resets ${reset}`;
+};
+
 /**
  * TopNav component - Steam-style top navigation bar
  */
-function TopNav({ searchQuery, onSearchChange }) {
+function TopNav({ searchQuery, onSearchChange, locale = '', onLocaleChange, githubQuota = [], onSettingsClick }) {
   return (
     <header className="top-nav">
       {/* Logo/Title Section */}
@@ -23,10 +48,35 @@ function TopNav({ searchQuery, onSearchChange }) {
 
       {/* User Actions */}
       <div className="top-nav__actions">
+        {githubQuota.map((quota) => (
+          <span
+            key={quota.host}
+            className={`top-nav__quota ${quota.remaining <= quota.limit * LOW_QUOTA_RATIO ? 'top-nav__quota--low' : ''}`}
+            title={quota.authenticated ? 'Authenticated API requests' : 'Unauthenticated API requests (set a token for a higher limit)'}
+          >
+            <i className="fab fa-github"></i>
+            {formatQuota(quota)}
+          </span>
+        ))}
+        {onLocaleChange && (
+          <label className="top-nav__locale" title="Catalog language">
+            <i className="fas fa-globe"></i>
+            <select
+              className="top-nav__locale-select"
+              value={locale}
+              onChange={(e) => onLocaleChange(e.target.value)}
+              aria-label="Catalog language"
+            >
+              {LOCALES.map((option) => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+        )}
         <button className="top-nav__btn" title="View">
           <i className="fas fa-th"></i>
         </button>
-        <button className="top-nav__btn" title="Settings">
+        <button className="top-nav__btn" title="Settings" onClick={onSettingsClick} disabled={!onSettingsClick}>
           <i className="fas fa-cog"></i>
         </button>
         <button className="top-nav__btn top-nav__btn--user" title="User">
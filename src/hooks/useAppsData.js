@@ -3,7 +3,7 @@ import { ERROR_MESSAGES } from '../utils/constants';
 
 /**
  * Custom hook per il fetch dei dati degli applicativi tramite Electron IPC
- * @returns {Object} { data, loading, error, refetch, downloadProgress, installStatus }
+ * @returns {Object} { data, loading, error, refetch, downloadProgress, installStatus, catalogDiagnostics }
  */
 export const useAppsData = () => {
   const [data, setData] = useState([]);
@@ -11,10 +11,18 @@ export const useAppsData = () => {
   const [error, setError] = useState(null);
   const [downloadProgress, setDownloadProgress] = useState({});
   const [installStatus, setInstallStatus] = useState({});
+  const [catalogDiagnostics, setCatalogDiagnostics] = useState(null);
 
-  const fetchApps = async () => {
-    setLoading(true);
-    setError(null);
+  /**
+   * Carica la lista app
+   * @param {Object} options - {silent}: se true non mostra il loading e mantiene
+   *   la lista corrente in caso di errore (usato per gli aggiornamenti in background)
+   */
+  const fetchApps = async ({ silent = false } = {}) => {
+    if (!silent) {
+      setLoading(true);
+      setError(null);
+    }
 
     try {
       // Usa Electron IPC invece di fetch HTTP
@@ -23,6 +31,10 @@ export const useAppsData = () => {
 
         if (result.success) {
           setData(result.data);
+
+          // Problemi di validazione del catalogo (voci scartate, campi non validi)
+          const diagnostics = await window.electronAPI.getCatalogDiagnostics();
+          setCatalogDiagnostics(diagnostics.success ? diagnostics.data : null);
         } else {
           throw new Error(result.error || 'Failed to load apps');
         }
@@ -31,13 +43,23 @@ export const useAppsData = () => {
         console.warn('Electron API not available, using fallback');
         const response = await fetch('/apps.json');
         const jsonData = await response.json();
-        setData(jsonData);
+
+        // Senza main process i testi localizzati si risolvono qui (lingua del browser, inglese, prima disponibile)
+        const language = navigator.language.split('-')[0];
+        const pickText = (value) => (
+          value && typeof value === 'object' ? value[language] || value.en || Object.values(value)[0] : value
+        );
+        setData(jsonData.map((app) => ({ ...app, name: pickText(app.name), description: pickText(app.description) })));
       }
     } catch (err) {
       console.error('Errore nel caricamento degli applicativi:', err);
-      setError(err.message || ERROR_MESSAGES.FETCH_FAILED);
+      if (!silent) {
+        setError(err.message || ERROR_MESSAGES.FETCH_FAILED);
+      }
     } finally {
-      setLoading(false);
+      if (!silent) {
+        setLoading(false);
+      }
     }
   };
 
@@ -45,7 +67,7 @@ export const useAppsData = () => {
     fetchApps();
 
     // Setup event listeners per download e installazione
-    let downloadListener, installListener, operationListener, autoDetectListener;
+    let downloadListener, installListener, operationListener, autoDetectListener, catalogListener, versionListener;
 
     if (window.electronAPI) {
       // Listener per progress download
@@ -91,6 +113,19 @@ export const useAppsData = () => {
         // Ricarica lista app per mostrare app rilevate
         fetchApps();
       });
+
+      // Listener per modifiche al catalogo (hot-reload)
+      catalogListener = window.electronAPI.onCatalogChanged((diagnostics) => {
+        console.log('[UI] Catalog changed, refreshing list');
+        setCatalogDiagnostics(diagnostics);
+        // Refresh silenzioso: le card restano montate e le operazioni in corso visibili
+        fetchApps({ silent: true });
+      });
+
+      // Listener per latest cambiate (rivalidazione in background delle versioni in cache)
+      versionListener = window.electronAPI.onAppVersionChanged(({ appId, app }) => {
+        setData((prev) => prev.map((current) => (current.id === appId ? app : current)));
+      });
     }
 
     // Cleanup function
@@ -99,6 +134,8 @@ export const useAppsData = () => {
       if (installListener) installListener();
       if (operationListener) operationListener();
       if (autoDetectListener) autoDetectListener();
+      if (catalogListener) catalogListener();
+      if (versionListener) versionListener();
     };
   }, []);
 
@@ -114,5 +151,6 @@ export const useAppsData = () => {
     refetch,
     downloadProgress,
     installStatus,
+    catalogDiagnostics,
   };
 };
@@ -0,0 +1,41 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Intervallo di aggiornamento della quota (il main process risponde dalla cache)
+ */
+const REFRESH_INTERVAL = 30000;
+
+/**
+ * Custom hook per la quota residua dell'API GitHub
+ * @returns {Array<Object>} [{host, limit, remaining, used, reset, authenticated}] - vuoto senza Electron
+ */
+export const useGitHubQuota = () => {
+  const [quota, setQuota] = useState([]);
+
+  useEffect(() => {
+    if (!window.electronAPI) return undefined;
+
+    let active = true;
+
+    const fetchQuota = async () => {
+      try {
+        const result = await window.electronAPI.getGitHubRateLimit();
+        if (active && result.success) {
+          setQuota(result.data);
+        }
+      } catch (err) {
+        console.warn('Failed to load GitHub quota:', err);
+      }
+    };
+
+    fetchQuota();
+    const interval = setInterval(fetchQuota, REFRESH_INTERVAL);
+
+    return () => {
+      active = false;
+      clearInterval(interval);
+    };
+  }, []);
+
+  return quota;
+};
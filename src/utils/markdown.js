@@ -0,0 +1,21 @@
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+
+/**
+ * Converte Markdown (es: note di rilascio GitHub) in HTML sanificato
+ * Il testo arriva da sorgenti esterne: script, stili e handler vengono rimossi da DOMPurify,
+ * come immagini e media, che verrebbero scaricati da host remoti (es: pixel di tracciamento)
+ * @param {string} markdown - Testo Markdown
+ * @returns {string} HTML da inserire con dangerouslySetInnerHTML
+ */
+export const renderMarkdown = (markdown) => {
+  if (!markdown) return '';
+
+  // breaks: a capo singoli come nelle release di GitHub
+  const html = marked.parse(markdown, { gfm: true, breaks: true, async: false });
+
+  return DOMPurify.sanitize(html, {
+    FORBID_TAGS: ['style', 'form', 'input', 'button', 'img', 'picture', 'source', 'video', 'audio'],
+    FORBID_ATTR: ['style'],
+  });
+};